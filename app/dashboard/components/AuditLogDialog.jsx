@@ -0,0 +1,155 @@
+import React, { useMemo, useState } from "react";
+import { AUDIT_ACTIONS, actionLabel, compareWithExport, deletedHistoryRecords, verifyAuditLog } from "../lib/auditLog";
+import { statusInfo } from "../lib/chequeStatus";
+
+// One-line summary of an entry's details
+function describe(entry) {
+  const d = entry.details || {};
+  switch (entry.action) {
+    case "print":
+    case "reprint":
+    case "save":
+      return [d.chequeNumber && `شيك ${d.chequeNumber}`, d.payee, d.amount && `${d.amount} ${d.currency || ""}`, d.batch && "(دفعة)", d.duplicateReason && `تكرار مؤكد: ${d.duplicateReason}`]
+        .filter(Boolean).join(" · ");
+    case "void":
+    case "statusChange":
+      return [
+        d.chequeNumber && `شيك ${d.chequeNumber}`,
+        d.payee,
+        d.from ? `${statusInfo(d.from).label} ← ${statusInfo(d.to).label}` : statusInfo(d.to).label,
+        d.note,
+      ].filter(Boolean).join(" · ");
+    case "templateEdit":
+      return `${d.name}: ${(d.changes || []).map(c => (c.from !== undefined || c.to !== undefined ? `${c.key} (${c.from ?? ""} ← ${c.to ?? ""})` : c.key)).join("، ")}`;
+    default:
+      return d.name || "";
+  }
+}
+
+/**
+ * Audit log with its verification. The chain is checked on every open and can
+ * be compared with a copy exported earlier; onExport() downloads the log for
+ * external review and onOperatorChange sets the name recorded on new entries.
+ */
+export default function AuditLogDialog({ log, head, history, operator, onOperatorChange, onExport, onClose }) {
+  const [action, setAction] = useState("");
+  const issues = useMemo(() => verifyAuditLog(log, head), [log, head]);
+  const deleted = useMemo(() => deletedHistoryRecords(log, history), [log, history]);
+  const entries = useMemo(() => log.filter(e => !action || e.action === action).slice().reverse(), [log, action]);
+  // exported copy the log is compared with: { fileName, data }
+  const [exported, setExported] = useState(null);
+  const [exportError, setExportError] = useState("");
+  const exportIssues = useMemo(() => (exported ? compareWithExport(log, exported.data) : []), [log, exported]);
+  const issueSeqs = new Set([...issues, ...exportIssues].map(i => i.seq));
+
+  const handleExportFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setExportError("");
+    try {
+      const data = JSON.parse(await file.text());
+      compareWithExport(log, data);
+      setExported({ fileName: file.name, data });
+    } catch (err) {
+      setExported(null);
+      setExportError(err instanceof SyntaxError ? "الملف ليس JSON صالحاً" : err?.message || "فشل في قراءة الملف");
+    } finally {
+      e.target.value = "";
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-5xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">سجل التدقيق</h2>
+          <span className="text-xs text-slate-500">{log.length} قيد</span>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label>
+            <span className="block text-xs">اسم المستخدم الحالي (يُسجَّل مع كل عملية)</span>
+            <input className="border rounded-xl px-2 py-1" value={operator} onChange={(e) => onOperatorChange(e.target.value)} />
+          </label>
+          <label>
+            <span className="block text-xs">العملية</span>
+            <select className="border rounded-xl px-2 py-1" value={action} onChange={(e) => setAction(e.target.value)}>
+              <option value="">الكل</option>
+              {AUDIT_ACTIONS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <div className={`p-3 rounded-xl border text-sm space-y-1 ${issues.length || deleted.length ? "bg-red-50 border-red-200 text-red-800" : "bg-green-50 border-green-200 text-green-800"}`}>
+          {issues.length === 0 && deleted.length === 0 && <div>✅ السجل سليم: لا توجد قيود محذوفة أو معدّلة{head && ` · آخر قيد ${head.seq}`}</div>}
+          {issues.map((issue, i) => (
+            <div key={i}>⚠️ القيد {issue.seq}: {issue.message}</div>
+          ))}
+          {deleted.map(e => (
+            <div key={e.seq}>⚠️ الشيك {e.details.chequeNumber || e.details.payee} (القيد {e.seq}) محذوف من سجل الشيكات</div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="px-3 py-1.5 rounded-xl border bg-white hover:bg-blue-50 cursor-pointer">
+            🔍 مقارنة بنسخة مصدّرة سابقاً
+            <input type="file" accept=".json,application/json" className="hidden" onChange={handleExportFile} />
+          </label>
+          <span className="text-xs text-slate-500">
+            السجل وبصمة آخر قيد محفوظان في نفس المتصفح، ومن يعدّلهما معاً يستطيع إعادة حساب السلسلة؛ المقارنة بنسخة محفوظة خارج الجهاز تكشف ذلك.
+          </span>
+        </div>
+        {exportError && <div className="text-sm text-red-600">{exportError}</div>}
+        {exported && (
+          <div className={`p-3 rounded-xl border text-sm space-y-1 ${exportIssues.length ? "bg-red-50 border-red-200 text-red-800" : "bg-green-50 border-green-200 text-green-800"}`}>
+            {exportIssues.length === 0 && (
+              <div>✅ كل قيود النسخة المصدّرة ({exported.fileName}{exported.data.exportedAt && ` · ${new Date(exported.data.exportedAt).toLocaleString("ar-EG")}`}) موجودة في السجل دون تعديل</div>
+            )}
+            {exportIssues.map((issue, i) => (
+              <div key={i}>⚠️ القيد {issue.seq}: {issue.message}</div>
+            ))}
+          </div>
+        )}
+
+        <div className="overflow-auto max-h-[50vh]">
+          <table className="w-full text-xs border">
+            <thead className="bg-slate-50 sticky top-0">
+              <tr>
+                <th className="border px-1 py-1">#</th>
+                <th className="border px-1 py-1">الوقت</th>
+                <th className="border px-1 py-1">المستخدم</th>
+                <th className="border px-1 py-1">العملية</th>
+                <th className="border px-1 py-1">التفاصيل</th>
+                <th className="border px-1 py-1">البصمة</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.seq} className={issueSeqs.has(entry.seq) ? "bg-red-50" : ""}>
+                  <td className="border px-1 py-1 text-center">{entry.seq}</td>
+                  <td className="border px-1 py-1 whitespace-nowrap">{new Date(entry.at).toLocaleString("ar-EG")}</td>
+                  <td className="border px-1 py-1">{entry.actor || "—"}</td>
+                  <td className="border px-1 py-1 whitespace-nowrap">{actionLabel(entry.action)}</td>
+                  <td className="border px-1 py-1">{describe(entry)}</td>
+                  <td className="border px-1 py-1 font-mono" dir="ltr" title={entry.hash}>{entry.hash.slice(0, 10)}…</td>
+                </tr>
+              ))}
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="border px-1 py-3 text-center text-slate-500">لا توجد قيود</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1.5 rounded-xl bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50" disabled={!log.length} onClick={onExport}>
+            📤 تصدير السجل للمراجعة
+          </button>
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+        </div>
+      </div>
+    </div>
+  );
+}
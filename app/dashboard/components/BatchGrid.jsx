@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import { hasBlockingIssue, validateImportRows } from "../lib/importValidation";
+import { coerceAmount, coerceDate } from "../lib/coerce";
+import { findTemplateByKey, isUnmatchedBank, templateForRow } from "../lib/bankMatching";
+
+const TEXT_COLUMNS = [
+  { id: "name", label: "المستفيد", width: "w-40" },
+  { id: "amount", label: "المبلغ", width: "w-24" },
+  { id: "date", label: "التاريخ", width: "w-28" },
+  { id: "memo", label: "ملاحظات", width: "w-40" },
+  { id: "bank", label: "البنك", width: "w-32" },
+];
+
+const cellText = (value) => (value === undefined || value === null ? "" : String(value));
+
+// Sort keys per column; amounts and dates compare by value, not by text
+const sortKey = (row, columnId, currency) => {
+  if (columnId === "amount") return Number(coerceAmount(row.amount, currency)) || 0;
+  if (columnId === "date") return coerceDate(row.date) || "";
+  if (columnId === "status") return row.printedAt || "";
+  return cellText(row[columnId]);
+};
+
+/**
+ * Spreadsheet view of the loaded batch. Rows are edited in place, excluded from
+ * batch printing, sorted (which reorders the batch) and loaded into the preview
+ * by clicking the row number.
+ * onChange(index, patch), onSelect(index), onReorder(order) where order lists old indexes.
+ */
+export default function BatchGrid({ rows, currentIndex, templates, currency, onChange, onSelect, onReorder, onClose }) {
+  const [sort, setSort] = useState(null); // { columnId, dir }
+  const results = useMemo(() => validateImportRows(rows, { templates, currency }), [rows, templates, currency]);
+  const includedCount = rows.filter(r => !r.excluded).length;
+  const printedCount = rows.filter(r => r.printedAt).length;
+
+  const sortBy = (columnId) => {
+    const dir = sort?.columnId === columnId && sort.dir === "asc" ? "desc" : "asc";
+    const order = rows.map((_, i) => i).sort((a, b) => {
+      const ka = sortKey(rows[a], columnId, currency);
+      const kb = sortKey(rows[b], columnId, currency);
+      const cmp = typeof ka === "number" && typeof kb === "number" ? ka - kb : String(ka).localeCompare(String(kb), "ar");
+      return dir === "asc" ? cmp : -cmp;
+    });
+    setSort({ columnId, dir });
+    onReorder(order);
+  };
+
+  const header = (columnId, label) => (
+    <th key={columnId} className="border px-1 py-1 cursor-pointer select-none hover:bg-slate-100" onClick={() => sortBy(columnId)}>
+      {label}{sort?.columnId === columnId && (sort.dir === "asc" ? " ▲" : " ▼")}
+    </th>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 space-y-2 print:hidden" dir="rtl">
+      <div className="flex items-center gap-3 text-sm">
+        <h2 className="font-semibold">صفوف الدفعة</h2>
+        <span className="text-xs text-slate-500">
+          {rows.length} صف · محدد للطباعة {includedCount} · مطبوع {printedCount}
+        </span>
+        <div className="ms-auto flex gap-2">
+          <button className="px-2 py-1 text-xs rounded-lg border hover:bg-slate-50" onClick={() => rows.forEach((r, i) => r.excluded && onChange(i, { excluded: false }))}>
+            تحديد الكل
+          </button>
+          <button className="px-2 py-1 text-xs rounded-lg border hover:bg-slate-50" onClick={() => rows.forEach((r, i) => r.printedAt && !r.excluded && onChange(i, { excluded: true }))}>
+            استبعاد المطبوع
+          </button>
+          <button className="px-2 py-1 text-xs rounded-lg bg-gray-100 hover:bg-gray-200" onClick={onClose}>إخفاء</button>
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-96">
+        <table className="w-full text-xs border">
+          <thead className="bg-slate-50 sticky top-0">
+            <tr>
+              <th className="border px-1 py-1">#</th>
+              <th className="border px-1 py-1">طباعة</th>
+              {header("status", "الحالة")}
+              {TEXT_COLUMNS.map(c => header(c.id, c.label))}
+              <th className="border px-1 py-1">القالب</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => {
+              const result = results[i];
+              const fieldIssue = (fieldId) => result.issues.find(issue => issue.field === fieldId);
+              // Template the bank alone picks; with none, the row must be given one
+              const byBank = { ...row, template: undefined };
+              const matched = templateForRow(byBank, templates);
+              const unmatched = isUnmatchedBank(row, templates);
+              return (
+                <tr key={i} className={`${i === currentIndex ? "bg-blue-50" : ""} ${row.excluded ? "opacity-50" : ""}`}>
+                  <td className="border px-1 py-1 text-center">
+                    <button className="text-blue-600 hover:underline" title="عرض في المعاينة" onClick={() => onSelect(i)}>{i + 1}</button>
+                  </td>
+                  <td className="border px-1 py-1 text-center">
+                    <input type="checkbox" checked={!row.excluded} onChange={(e) => onChange(i, { excluded: !e.target.checked })} />
+                  </td>
+                  <td className="border px-1 py-1 whitespace-nowrap">
+                    {row.printedAt
+                      ? <span className="text-green-700" title={new Date(row.printedAt).toLocaleString("ar-EG")}>✅ مطبوع</span>
+                      : hasBlockingIssue(result)
+                      ? <span className="text-red-600">⚠️ به أخطاء</span>
+                      : <span className="text-slate-500">⏳ قيد الانتظار</span>}
+                  </td>
+                  {TEXT_COLUMNS.map(c => {
+                    const issue = fieldIssue(c.id);
+                    return (
+                      <td key={c.id} className="border p-0.5">
+                        <input
+                          className={`${c.width} border rounded px-1 py-0.5 ${issue?.blocking ? "border-red-400 bg-red-50" : issue ? "border-amber-300 bg-amber-50" : ""}`}
+                          value={cellText(row[c.id])}
+                          title={issue?.message}
+                          onFocus={() => i !== currentIndex && onSelect(i)}
+                          onChange={(e) => onChange(i, { [c.id]: e.target.value })}
+                        />
+                      </td>
+                    );
+                  })}
+                  <td className="border p-0.5">
+                    <select
+                      className={`w-36 border rounded px-1 py-0.5 ${unmatched ? "border-red-400 bg-red-50" : ""}`}
+                      title={unmatched ? `لا يوجد قالب للبنك "${row.bank}"` : undefined}
+                      value={findTemplateByKey(row.template, templates)?.id || ""}
+                      onChange={(e) => onChange(i, { template: e.target.value })}
+                    >
+                      <option value="">
+                        {matched ? `تلقائي (${matched.name})` : isUnmatchedBank(byBank, templates) ? "بلا قالب - اختر قالباً" : "تلقائي (القالب الحالي)"}
+                      </option>
+                      {templates.map(t => (
+                        <option key={t.id} value={t.id}>{t.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
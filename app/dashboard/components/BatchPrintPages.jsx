@@ -0,0 +1,58 @@
+import React from "react";
+import { fieldText } from "../lib/chequeContent";
+import { fieldWidthMM } from "../lib/textFit";
+import { isDateBind } from "../lib/dateFormat";
+
+/**
+ * Print-only pages for a batch job, one cheque per page. Each page is sized to
+ * its template and shifted by the template's print offsets; the page size comes
+ * from the named @page rule the caller sets up for each pageName class.
+ * jobs: [{ key, template, form, content, pageName }]
+ */
+export default function BatchPrintPages({ jobs, useArabicNumerals }) {
+  return (
+    <div className="batch-print hidden print:block" dir="rtl">
+      {jobs.map(job => (
+        <div
+          key={job.key}
+          className={`${job.pageName} relative overflow-hidden bg-white`}
+          style={{
+            breakAfter: "page",
+            width: `${job.template.widthMM}mm`,
+            height: `${job.template.heightMM}mm`,
+          }}
+        >
+          <div
+            className="absolute inset-0"
+            style={{ transform: `translate(${job.template.printOffsetX || 0}mm, ${job.template.printOffsetY || 0}mm)` }}
+          >
+            {job.template.fields.filter(f => !f.hidden).map(f => (
+              <div
+                key={f.id}
+                className="absolute"
+                style={{ left: `${f.x}%`, top: `${f.y}%`, transform: "translate(-100%, 0%)", width: `${fieldWidthMM(f, job.template)}mm` }}
+              >
+                <div
+                  dir={f.bind === "amountWordsEn" ? "ltr" : undefined}
+                  className="px-1"
+                  style={{
+                    fontSize: `${f.fontSize || 14}px`,
+                    lineHeight: 2.3,
+                    color: "#000",
+                    fontWeight: 600,
+                    fontFamily: f.bind === "amountNum" || isDateBind(f.bind) ? "monospace" : "inherit",
+                    letterSpacing: f.bind === "amountNum" ? "1px" : "normal",
+                    whiteSpace: f.bind === "amountWords" || f.bind === "amountWords2" || f.align === "center" ? "nowrap" : undefined,
+                    textAlign: f.align === "center" ? "center" : undefined,
+                  }}
+                >
+                  {fieldText(f, job.content, job.form, job.template, useArabicNumerals)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
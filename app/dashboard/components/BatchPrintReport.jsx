@@ -0,0 +1,60 @@
+import React from "react";
+
+/**
+ * Result of a batch print: which rows went to the printer and which were
+ * skipped, with the reason.
+ * report: { printed: [{ index, payee, amount, templateName, chequeNumber }], skipped: [{ index, payee, reason }] }
+ */
+export default function BatchPrintReport({ report, onClose }) {
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <h2 className="font-semibold">تقرير طباعة الدفعة</h2>
+        <p className="text-sm">
+          تم إرسال <span className="font-semibold text-green-700">{report.printed.length}</span> شيك للطباعة
+          {report.skipped.length > 0 && <>، وتم تخطي <span className="font-semibold text-red-600">{report.skipped.length}</span></>}
+        </p>
+
+        {report.printed.length > 0 && (
+          <table className="w-full text-xs border">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="border px-1 py-1">الصف</th>
+                <th className="border px-1 py-1">المستفيد</th>
+                <th className="border px-1 py-1">المبلغ</th>
+                <th className="border px-1 py-1">القالب</th>
+                <th className="border px-1 py-1">رقم الشيك</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.printed.map(r => (
+                <tr key={r.index}>
+                  <td className="border px-1 py-1 text-center">{r.index + 1}</td>
+                  <td className="border px-1 py-1">{r.payee}</td>
+                  <td className="border px-1 py-1 font-mono">{r.amount}</td>
+                  <td className="border px-1 py-1">{r.templateName}</td>
+                  <td className="border px-1 py-1 font-mono">{r.chequeNumber || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {report.skipped.length > 0 && (
+          <div className="space-y-1">
+            <h3 className="text-sm font-medium text-red-700">صفوف لم تُطبع</h3>
+            {report.skipped.map(r => (
+              <div key={r.index} className="text-xs text-red-600">
+                الصف {r.index + 1}{r.payee && ` (${r.payee})`}: {r.reason}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+        </div>
+      </div>
+    </div>
+  );
+}
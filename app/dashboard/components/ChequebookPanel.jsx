@@ -0,0 +1,98 @@
+import React from "react";
+import { bookLeaves, EMPTY_CHEQUEBOOK, isEmptyBook, isLowBook, remainingLeaves } from "../lib/chequebooks";
+import { nextChequeNumber } from "../lib/chequeNumbers";
+
+const digitsOnly = (value) => value.replace(/\D/g, "");
+
+/**
+ * Chequebook settings of a template: the book in use (account, serial range,
+ * issue date, next number, low-leaves warning) and the register of used books.
+ * onChange(patch) updates template.chequebook.
+ */
+export default function ChequebookPanel({ template, onChange, onNewBook, onSpoilLeaf }) {
+  const book = { ...EMPTY_CHEQUEBOOK, ...template.chequebook };
+  const leaves = bookLeaves(book);
+  const remaining = remainingLeaves(book);
+  const next = nextChequeNumber(template);
+  const used = template.usedChequebooks || [];
+
+  // While no leaf is used the next number follows the first one
+  const setStart = (startSerial) => {
+    const unused = !book.nextSerial || book.nextSerial === book.startSerial;
+    onChange(unused ? { startSerial, nextSerial: startSerial } : { startSerial });
+  };
+
+  const field = (label, key, props = {}) => (
+    <div>
+      <label className="block text-xs">{label}</label>
+      <input
+        className="w-full border rounded-xl px-2 py-1"
+        dir="ltr"
+        value={book[key] ?? ""}
+        onChange={(e) => onChange({ [key]: e.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="col-span-2 mt-3 p-3 bg-slate-50 border border-slate-200 rounded-xl space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium">دفتر الشيكات الحالي</label>
+        <div className="flex gap-1">
+          <button className="px-2 py-0.5 text-xs rounded-lg border bg-white hover:bg-orange-50 disabled:opacity-50" disabled={!next || isEmptyBook(book)} onClick={onSpoilLeaf}>
+            إتلاف ورقة
+          </button>
+          <button className="px-2 py-0.5 text-xs rounded-lg border bg-white hover:bg-blue-50" onClick={onNewBook}>
+            📗 دفتر جديد
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        {field("رقم الحساب", "account")}
+        {field("تاريخ استلام الدفتر", "issuedOn", { type: "date" })}
+        {field("تنبيه عند بقاء", "lowLeaves", { type: "number", min: 0, onChange: (e) => onChange({ lowLeaves: Number(e.target.value || 0) }) })}
+        {field("أول رقم", "startSerial", { className: "w-full border rounded-xl px-2 py-1 font-mono", inputMode: "numeric", onChange: (e) => setStart(digitsOnly(e.target.value)) })}
+        {field("آخر رقم", "endSerial", { className: "w-full border rounded-xl px-2 py-1 font-mono", inputMode: "numeric", onChange: (e) => onChange({ endSerial: digitsOnly(e.target.value) }) })}
+        {field("الرقم التالي", "nextSerial", { className: "w-full border rounded-xl px-2 py-1 font-mono", inputMode: "numeric", onChange: (e) => onChange({ nextSerial: digitsOnly(e.target.value) }) })}
+      </div>
+
+      <p className={`text-xs ${isEmptyBook(book) ? "text-red-600" : isLowBook(book) ? "text-amber-700" : "text-slate-500"}`}>
+        {!next
+          ? "بدون دفتر: لن تُرقَّم الشيكات المطبوعة بهذا القالب"
+          : isEmptyBook(book)
+          ? "⚠️ انتهت أوراق الدفتر - ابدأ دفتراً جديداً للمتابعة"
+          : `الطباعة القادمة تأخذ الرقم ${next}${remaining !== null ? ` · متبقي ${remaining} من ${leaves} ورقة` : ""}${isLowBook(book) ? " ⚠️" : ""}`}
+      </p>
+
+      {used.length > 0 && (
+        <details className="text-xs">
+          <summary className="cursor-pointer">سجل الدفاتر المستخدمة ({used.length})</summary>
+          <table className="w-full border mt-1">
+            <thead className="bg-white">
+              <tr>
+                <th className="border px-1 py-0.5">الحساب</th>
+                <th className="border px-1 py-0.5">الأرقام</th>
+                <th className="border px-1 py-0.5">الاستلام</th>
+                <th className="border px-1 py-0.5">الإغلاق</th>
+                <th className="border px-1 py-0.5">أوراق لم تُستخدم</th>
+              </tr>
+            </thead>
+            <tbody>
+              {used.map((b, i) => (
+                <tr key={i}>
+                  <td className="border px-1 py-0.5 font-mono" dir="ltr">{b.account || "—"}</td>
+                  <td className="border px-1 py-0.5 font-mono" dir="ltr">{b.startSerial} - {b.endSerial || "?"}</td>
+                  <td className="border px-1 py-0.5">{b.issuedOn || "—"}</td>
+                  <td className="border px-1 py-0.5">{new Date(b.closedAt).toLocaleDateString("ar-EG")}</td>
+                  <td className="border px-1 py-0.5 text-center">{b.leftLeaves ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useMemo, useState } from "react";
+import {
+  applyMapping,
+  columnCount,
+  columnLetter,
+  detectHeaderRow,
+  IMPORT_FIELDS,
+  missingRequiredFields,
+  resolveSavedMapping,
+  suggestMapping,
+  toSavedMapping,
+} from "../lib/columnMapping";
+
+/**
+ * Column mapping step shown after a batch file is read.
+ * sheet: { fileName, format, rows } where rows is an array of arrays.
+ * savedMappings: [{ name, hasHeader, columns }] reusable across imports.
+ */
+export default function ColumnMappingDialog({ sheet, savedMappings, onSaveMapping, onDeleteMapping, onApply, onCancel }) {
+  const detectedHeader = useMemo(() => detectHeaderRow(sheet.rows), [sheet.rows]);
+  const [headerRow, setHeaderRow] = useState(detectedHeader);
+  const hasHeader = headerRow !== -1;
+  const headers = useMemo(() => (hasHeader ? sheet.rows[headerRow] || [] : []), [sheet.rows, headerRow, hasHeader]);
+  const [mapping, setMapping] = useState(() => (detectedHeader !== -1 ? suggestMapping(sheet.rows[detectedHeader] || []) : {}));
+  const [mappingName, setMappingName] = useState("");
+
+  const cols = columnCount(sheet.rows);
+  const mappedRows = useMemo(() => applyMapping(sheet.rows, headerRow, mapping), [sheet.rows, headerRow, mapping]);
+  const preview = mappedRows.slice(0, 3);
+  const missing = missingRequiredFields(mapping);
+
+  const setColumn = (fieldId, value) => {
+    setMapping(prev => ({ ...prev, [fieldId]: value === "" ? undefined : Number(value) }));
+  };
+
+  const toggleHeader = (checked) => {
+    const next = checked ? Math.max(0, detectedHeader) : -1;
+    setHeaderRow(next);
+    if (checked) setMapping(suggestMapping(sheet.rows[next] || []));
+  };
+
+  const loadSaved = (name) => {
+    const saved = savedMappings.find(m => m.name === name);
+    if (!saved) return;
+    setMappingName(saved.name);
+    setMapping(resolveSavedMapping(saved, headers, hasHeader));
+  };
+
+  const columnOption = (i) => {
+    const header = hasHeader && headers[i] !== undefined && headers[i] !== null ? ` - ${headers[i]}` : "";
+    return `${columnLetter(i)}${header}`;
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-2xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">ربط أعمدة الملف</h2>
+          <span className="text-xs text-slate-500">{sheet.fileName}{sheet.format && ` · ${sheet.format}`}</span>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => toggleHeader(e.target.checked)} />
+          يحتوي الملف على صف عناوين {hasHeader && <span className="text-xs text-slate-500">(الصف {headerRow + 1})</span>}
+        </label>
+
+        {savedMappings.length > 0 && (
+          <div className="flex items-center gap-2 text-sm">
+            <span>ربط محفوظ:</span>
+            <select className="flex-1 border rounded-xl px-2 py-1" value="" onChange={(e) => loadSaved(e.target.value)}>
+              <option value="">— اختر —</option>
+              {savedMappings.map(m => (
+                <option key={m.name} value={m.name}>{m.name}</option>
+              ))}
+            </select>
+            {savedMappings.some(m => m.name === mappingName) && (
+              <button className="px-2 py-1 text-xs border border-red-300 bg-red-50 hover:bg-red-100 rounded-lg" onClick={() => onDeleteMapping(mappingName)}>
+                حذف
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {IMPORT_FIELDS.map(field => (
+            <label key={field.id} className="flex items-center gap-2">
+              <span className="w-20">{field.label}{field.required && <span className="text-red-600">*</span>}</span>
+              <select
+                className="flex-1 border rounded-xl px-2 py-1"
+                value={mapping[field.id] ?? ""}
+                onChange={(e) => setColumn(field.id, e.target.value)}
+              >
+                <option value="">— غير مستخدم —</option>
+                {Array.from({ length: cols }, (_, i) => (
+                  <option key={i} value={i}>{columnOption(i)}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="overflow-auto">
+          <table className="w-full text-xs border">
+            <thead className="bg-slate-50">
+              <tr>
+                {IMPORT_FIELDS.map(f => <th key={f.id} className="border px-1 py-1">{f.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map((row, i) => (
+                <tr key={i}>
+                  {IMPORT_FIELDS.map(f => <td key={f.id} className="border px-1 py-1">{row[f.id] === undefined ? "" : String(row[f.id])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center gap-2 text-sm">
+          <input
+            className="flex-1 border rounded-xl px-2 py-1"
+            placeholder="اسم الربط للحفظ (مثال: تصدير الحسابات)"
+            value={mappingName}
+            onChange={(e) => setMappingName(e.target.value)}
+          />
+          <button
+            className="px-3 py-1 rounded-xl border bg-white hover:bg-blue-50 disabled:opacity-50"
+            disabled={!mappingName.trim()}
+            onClick={() => onSaveMapping(toSavedMapping(mappingName.trim(), headers, hasHeader, mapping))}
+          >
+            💾 حفظ الربط
+          </button>
+        </div>
+
+        {missing.length > 0 && (
+          <p className="text-xs text-red-600">يجب ربط: {missing.map(f => f.label).join("، ")}</p>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onCancel}>إلغاء</button>
+          <button
+            className="px-3 py-1.5 rounded-xl bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+            disabled={missing.length > 0}
+            onClick={() => onApply(mappedRows)}
+          >
+            استيراد {mappedRows.length} صف
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
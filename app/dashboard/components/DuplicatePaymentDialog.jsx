@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { chequeStatus, statusInfo } from "../lib/chequeStatus";
+
+/**
+ * Cheques about to print that match earlier payments. items are
+ * [{ key, payee, amount, currency, date, matches }] with matches the history
+ * records found by findDuplicatePayments, earlier rows of the same batch
+ * included (batchRow set). Printing goes ahead only through
+ * onConfirm(reason), and a reason is required.
+ */
+export default function DuplicatePaymentDialog({ items, templates, windowDays, onConfirm, onCancel }) {
+  const [reason, setReason] = useState("");
+  const templateName = (id) => templates.find(t => t.id === id)?.name || id;
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-3xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <h2 className="font-semibold text-red-700">⚠️ احتمال دفع مكرر</h2>
+        <p className="text-sm text-slate-600">
+          {items.length === 1 ? "هذا الشيك يطابق" : `${items.length} شيكات تطابق`} شيكات سابقة أو صفوفاً في نفس الدفعة لنفس المستفيد وبنفس المبلغ خلال {windowDays} يوماً.
+        </p>
+
+        {items.map(item => (
+          <div key={item.key} className="border border-red-200 rounded-xl p-2 text-xs space-y-1">
+            <div className="font-medium text-sm">
+              {item.payee} — <span className="font-mono" dir="ltr">{item.amount} {item.currency}</span> — <span className="font-mono">{item.date}</span>
+            </div>
+            <table className="w-full border">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="border px-1 py-0.5">رقم الشيك</th>
+                  <th className="border px-1 py-0.5">تاريخ الشيك</th>
+                  <th className="border px-1 py-0.5">المستفيد</th>
+                  <th className="border px-1 py-0.5">القالب</th>
+                  <th className="border px-1 py-0.5">الغرض</th>
+                  <th className="border px-1 py-0.5">الحالة</th>
+                </tr>
+              </thead>
+              <tbody>
+                {item.matches.map(record => (
+                  <tr key={record.id}>
+                    <td className="border px-1 py-0.5 font-mono">{record.chequeNumber || "—"}</td>
+                    <td className="border px-1 py-0.5 font-mono">{record.form?.date}</td>
+                    <td className="border px-1 py-0.5">{record.form?.payee}</td>
+                    <td className="border px-1 py-0.5">{templateName(record.templateId)}</td>
+                    <td className="border px-1 py-0.5">{record.form?.memo}</td>
+                    <td className="border px-1 py-0.5">{record.batchRow ? `الصف ${record.batchRow} في هذه الدفعة` : statusInfo(chequeStatus(record)).label}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+
+        <label className="block text-sm">
+          <span className="block text-xs">سبب الطباعة رغم التكرار (مطلوب)</span>
+          <input
+            className="w-full border rounded-xl px-2 py-1"
+            placeholder="مثال: دفعة ثانية متفق عليها"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            autoFocus
+          />
+        </label>
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onCancel}>إلغاء الطباعة</button>
+          <button
+            className="px-3 py-1.5 rounded-xl bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+            disabled={!reason.trim()}
+            onClick={() => onConfirm(reason.trim())}
+          >
+            طباعة رغم التكرار
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import React, { Fragment, useMemo, useState } from "react";
+import { EMPTY_HISTORY_FILTERS, filterHistory } from "../lib/history";
+import { CHEQUE_STATUSES, chequeStatus, statusHistory, statusInfo, totalsByCurrency } from "../lib/chequeStatus";
+import { findSequenceIssues } from "../lib/chequeNumbers";
+
+/**
+ * Saved cheques with search and lifecycle status. onOpen(record, mode) loads a
+ * record into the form: "reprint" keeps its cheque date, "duplicate" starts a
+ * new cheque dated today. onStatusChange(ids, status, note) updates statuses.
+ */
+export default function HistoryDialog({ history, templates, onOpen, onStatusChange, onClose }) {
+  const [filters, setFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const results = useMemo(() => filterHistory(history, filters), [history, filters]);
+  const templateName = (id) => templates.find(t => t.id === id)?.name || id;
+
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulkStatus, setBulkStatus] = useState("issued");
+  const [bulkNote, setBulkNote] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const selectedVisible = results.filter(r => selected.has(r.id));
+  const allSelected = results.length > 0 && selectedVisible.length === results.length;
+  const totals = totalsByCurrency(results);
+  const [showSequence, setShowSequence] = useState(false);
+  const sequence = useMemo(() => findSequenceIssues(history, templates), [history, templates]);
+  const sequenceIssueCount = sequence.duplicates.length + sequence.gaps.length;
+  // Sequences are per account, falling back to the template
+  const sequenceLabel = (key) => (templates.some(t => t.id === key) ? `قالب ${templateName(key)}` : `حساب ${key}`);
+
+  const toggle = (id, on) => setSelected(prev => {
+    const next = new Set(prev);
+    if (on) next.add(id);
+    else next.delete(id);
+    return next;
+  });
+
+  const applyBulk = () => {
+    onStatusChange(selectedVisible.map(r => r.id), bulkStatus, bulkNote);
+    setSelected(new Set());
+    setBulkNote("");
+  };
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const input = (key, props) => (
+    <input className="w-full border rounded-xl px-2 py-1" value={filters[key]} onChange={(e) => setFilter(key, e.target.value)} {...props} />
+  );
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-5xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">سجل الشيكات</h2>
+          <span className="text-xs text-slate-500">{results.length} من {history.length} شيك</span>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+          <label>
+            <span className="block text-xs">المستفيد</span>
+            {input("payee", { placeholder: "جزء من الاسم" })}
+          </label>
+          <label>
+            <span className="block text-xs">رقم الشيك</span>
+            {input("chequeNumber", { dir: "ltr" })}
+          </label>
+          <label>
+            <span className="block text-xs">المبلغ من</span>
+            {input("amountMin", { type: "number", dir: "ltr" })}
+          </label>
+          <label>
+            <span className="block text-xs">إلى</span>
+            {input("amountMax", { type: "number", dir: "ltr" })}
+          </label>
+          <label>
+            <span className="block text-xs">تاريخ الشيك من</span>
+            {input("dateFrom", { type: "date" })}
+          </label>
+          <label>
+            <span className="block text-xs">إلى</span>
+            {input("dateTo", { type: "date" })}
+          </label>
+          <label>
+            <span className="block text-xs">القالب</span>
+            <select className="w-full border rounded-xl px-2 py-1" value={filters.templateId} onChange={(e) => setFilter("templateId", e.target.value)}>
+              <option value="">الكل</option>
+              {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          </label>
+          <label>
+            <span className="block text-xs">الغرض/ملاحظات</span>
+            {input("memo")}
+          </label>
+          <label>
+            <span className="block text-xs">الحالة</span>
+            <select className="w-full border rounded-xl px-2 py-1" value={filters.status} onChange={(e) => setFilter("status", e.target.value)}>
+              <option value="">الكل</option>
+              <option value="outstanding">القائمة (لم تُصرف بعد)</option>
+              {CHEQUE_STATUSES.map(st => <option key={st.id} value={st.id}>{st.label}</option>)}
+            </select>
+          </label>
+          <div className="col-span-2 md:col-span-3 flex items-end gap-2">
+            <button
+              className={`px-3 py-1 rounded-xl border text-sm ${filters.status === "outstanding" ? "bg-amber-100 border-amber-300" : "hover:bg-amber-50"}`}
+              onClick={() => setFilter("status", filters.status === "outstanding" ? "" : "outstanding")}
+            >
+              📌 الشيكات القائمة
+            </button>
+            <button
+              className={`px-3 py-1 rounded-xl border text-sm ${sequenceIssueCount ? "border-red-300 text-red-700" : ""} ${showSequence ? "bg-slate-100" : "hover:bg-slate-50"}`}
+              onClick={() => setShowSequence(v => !v)}
+            >
+              🔢 فحص تسلسل الأرقام{sequenceIssueCount > 0 && ` (${sequenceIssueCount})`}
+            </button>
+          </div>
+        </div>
+
+        {showSequence && (
+          <div className="p-3 border rounded-xl text-xs space-y-1">
+            {sequenceIssueCount === 0 && <div className="text-green-700">✅ لا توجد أرقام مكررة أو فجوات في التسلسل</div>}
+            {sequence.duplicates.map(d => (
+              <div key={`d-${d.key}-${d.number}`} className="text-red-700">
+                ⚠️ {sequenceLabel(d.key)}: الرقم <span className="font-mono">{d.number}</span> مستخدم {d.count} مرات
+              </div>
+            ))}
+            {sequence.gaps.map(g => (
+              <div key={`g-${g.key}-${g.from}`} className="text-amber-700">
+                ⚠️ {sequenceLabel(g.key)}: {g.missing === 1
+                  ? <>الرقم <span className="font-mono">{g.from}</span> مفقود</>
+                  : <>الأرقام <span className="font-mono">{g.from}</span> - <span className="font-mono">{g.to}</span> مفقودة ({g.missing})</>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <span className="text-slate-500">إجمالي النتائج:</span>
+          {Object.entries(totals).map(([code, total]) => (
+            <span key={code} className="px-2 py-0.5 rounded-lg bg-slate-50 border font-mono" dir="ltr">
+              {total.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 3 })} {code}
+            </span>
+          ))}
+          {Object.keys(totals).length === 0 && <span>—</span>}
+        </div>
+
+        {selectedVisible.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 p-2 bg-blue-50 border border-blue-200 rounded-xl text-sm">
+            <span>{selectedVisible.length} محدد:</span>
+            <select className="border rounded-xl px-2 py-1" value={bulkStatus} onChange={(e) => setBulkStatus(e.target.value)}>
+              {CHEQUE_STATUSES.map(st => <option key={st.id} value={st.id}>{st.label}</option>)}
+            </select>
+            <input className="flex-1 border rounded-xl px-2 py-1" placeholder="ملاحظة (اختياري)" value={bulkNote} onChange={(e) => setBulkNote(e.target.value)} />
+            <button className="px-3 py-1 rounded-xl bg-blue-500 text-white hover:bg-blue-600" onClick={applyBulk}>تحديث الحالة</button>
+          </div>
+        )}
+
+        <div className="overflow-auto max-h-[50vh]">
+          <table className="w-full text-xs border">
+            <thead className="bg-slate-50 sticky top-0">
+              <tr>
+                <th className="border px-1 py-1">
+                  <input type="checkbox" checked={allSelected} onChange={(e) => setSelected(e.target.checked ? new Set(results.map(r => r.id)) : new Set())} />
+                </th>
+                <th className="border px-1 py-1">رقم الشيك</th>
+                <th className="border px-1 py-1">تاريخ الشيك</th>
+                <th className="border px-1 py-1">المستفيد</th>
+                <th className="border px-1 py-1">المبلغ</th>
+                <th className="border px-1 py-1">القالب</th>
+                <th className="border px-1 py-1">الغرض</th>
+                <th className="border px-1 py-1">وقت الحفظ</th>
+                <th className="border px-1 py-1">الحالة</th>
+                <th className="border px-1 py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(record => {
+                const status = statusInfo(chequeStatus(record));
+                return (
+                  <Fragment key={record.id}>
+                    <tr>
+                      <td className="border px-1 py-1 text-center">
+                        <input type="checkbox" checked={selected.has(record.id)} onChange={(e) => toggle(record.id, e.target.checked)} />
+                      </td>
+                      <td className="border px-1 py-1 font-mono whitespace-nowrap">{record.chequeNumber || "—"}</td>
+                      <td className="border px-1 py-1 font-mono whitespace-nowrap">{record.form?.date}</td>
+                      <td className="border px-1 py-1">{record.form?.payee}</td>
+                      <td className="border px-1 py-1 font-mono whitespace-nowrap" dir="ltr">{record.form?.amount} {record.form?.currency}</td>
+                      <td className="border px-1 py-1">{templateName(record.templateId)}</td>
+                      <td className="border px-1 py-1">{record.form?.memo}</td>
+                      <td className="border px-1 py-1 whitespace-nowrap">{new Date(record.at).toLocaleString("ar-EG")}</td>
+                      <td className="border px-1 py-1 whitespace-nowrap">
+                        <button className={`px-2 py-0.5 rounded-lg ${status.color}`} title="عرض سجل الحالة" onClick={() => setExpandedId(expandedId === record.id ? null : record.id)}>
+                          {status.label}
+                        </button>
+                      </td>
+                      <td className="border px-1 py-1 whitespace-nowrap">
+                        <button className="px-2 py-0.5 rounded-lg border hover:bg-blue-50" onClick={() => onOpen(record, "reprint")}>إعادة طباعة</button>
+                        <button className="px-2 py-0.5 rounded-lg border hover:bg-blue-50 ms-1" onClick={() => onOpen(record, "duplicate")}>نسخ</button>
+                      </td>
+                    </tr>
+                    {expandedId === record.id && (
+                      <tr>
+                        <td colSpan={10} className="border px-3 py-2 bg-slate-50">
+                          {statusHistory(record).map((entry, i) => (
+                            <div key={i} className="flex gap-3">
+                              <span className="whitespace-nowrap text-slate-500">{new Date(entry.at).toLocaleString("ar-EG")}</span>
+                              <span className="font-medium">{statusInfo(entry.status).label}</span>
+                              {entry.note && <span className="text-slate-600">— {entry.note}</span>}
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+              {results.length === 0 && (
+                <tr>
+                  <td colSpan={10} className="border px-1 py-3 text-center text-slate-500">لا توجد نتائج</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={() => setFilters(EMPTY_HISTORY_FILTERS)}>مسح البحث</button>
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from "react";
+import { hasBlockingIssue, normalizeImportRow, validateImportRows } from "../lib/importValidation";
+import { findTemplateByKey, templateForRow } from "../lib/bankMatching";
+
+// Columns editable in the report; memo is carried through unchanged and the template has its own picker
+const EDIT_COLUMNS = [
+  { id: "name", label: "المستفيد" },
+  { id: "amount", label: "المبلغ" },
+  { id: "date", label: "التاريخ" },
+  { id: "bank", label: "البنك" },
+];
+
+const cellText = (value) => (value === undefined || value === null ? "" : String(value));
+
+/**
+ * Validation report shown after column mapping. Rows with errors start excluded;
+ * fixing a row re-validates it and it can then be included again.
+ * rows: mapped batch rows; onStart receives the included rows, normalized.
+ */
+export default function ImportReportDialog({ rows, templates, currency, onStart, onCancel }) {
+  const [draft, setDraft] = useState(rows);
+  const results = useMemo(() => validateImportRows(draft, { templates, currency }), [draft, templates, currency]);
+  const [excluded, setExcluded] = useState(() => {
+    const initial = validateImportRows(rows, { templates, currency });
+    return new Set(initial.flatMap((r, i) => (hasBlockingIssue(r) ? [i] : [])));
+  });
+  const [onlyIssues, setOnlyIssues] = useState(true);
+
+  const errorCount = results.filter(hasBlockingIssue).length;
+  const warningCount = results.filter(r => !hasBlockingIssue(r) && r.issues.length).length;
+  const included = draft.map((_, i) => i).filter(i => !excluded.has(i));
+  const blocked = included.filter(i => hasBlockingIssue(results[i]));
+  const visible = draft.map((_, i) => i).filter(i => !onlyIssues || results[i].issues.length);
+
+  const updateCell = (index, fieldId, value) => {
+    setDraft(prev => prev.map((row, i) => (i === index ? { ...row, [fieldId]: value } : row)));
+  };
+
+  const toggleRow = (index, include) => {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      if (include) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const start = () => onStart(included.map(i => normalizeImportRow(draft[i], results[i])));
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-4xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">تقرير فحص الاستيراد</h2>
+          <span className="text-xs text-slate-500">{draft.length} صف</span>
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-xs">
+          <span className="px-2 py-1 rounded-lg bg-green-50 border border-green-200">سليم: {draft.length - errorCount - warningCount}</span>
+          <span className="px-2 py-1 rounded-lg bg-red-50 border border-red-200">أخطاء: {errorCount}</span>
+          <span className="px-2 py-1 rounded-lg bg-amber-50 border border-amber-200">تنبيهات: {warningCount}</span>
+          <span className="px-2 py-1 rounded-lg bg-slate-50 border">مستبعد: {excluded.size}</span>
+          <label className="flex items-center gap-1 mr-auto">
+            <input type="checkbox" checked={onlyIssues} onChange={(e) => setOnlyIssues(e.target.checked)} />
+            عرض الصفوف التي بها مشاكل فقط
+          </label>
+        </div>
+
+        <div className="overflow-auto">
+          <table className="w-full text-xs border">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="border px-1 py-1">#</th>
+                <th className="border px-1 py-1">تضمين</th>
+                {EDIT_COLUMNS.map(c => <th key={c.id} className="border px-1 py-1">{c.label}</th>)}
+                <th className="border px-1 py-1">القالب</th>
+                <th className="border px-1 py-1">المشاكل</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(i => {
+                const result = results[i];
+                const fieldError = (fieldId) => result.issues.some(issue => issue.field === fieldId && issue.blocking);
+                return (
+                  <tr key={i} className={excluded.has(i) ? "opacity-50" : ""}>
+                    <td className="border px-1 py-1 text-center">{i + 1}</td>
+                    <td className="border px-1 py-1 text-center">
+                      <input type="checkbox" checked={!excluded.has(i)} onChange={(e) => toggleRow(i, e.target.checked)} />
+                    </td>
+                    {EDIT_COLUMNS.map(c => (
+                      <td key={c.id} className="border p-0.5">
+                        <input
+                          className={`w-full border rounded px-1 py-0.5 ${fieldError(c.id) ? "border-red-400 bg-red-50" : ""}`}
+                          value={cellText(draft[i][c.id])}
+                          onChange={(e) => updateCell(i, c.id, e.target.value)}
+                        />
+                      </td>
+                    ))}
+                    <td className="border p-0.5">
+                      <select
+                        className={`w-full border rounded px-1 py-0.5 ${fieldError("bank") || fieldError("template") ? "border-red-400 bg-red-50" : ""}`}
+                        value={findTemplateByKey(draft[i].template, templates)?.id || ""}
+                        onChange={(e) => updateCell(i, "template", e.target.value)}
+                      >
+                        <option value="">{templateForRow({ ...draft[i], template: undefined }, templates) ? "حسب البنك" : "— اختر قالباً —"}</option>
+                        {templates.map(t => (
+                          <option key={t.id} value={t.id}>{t.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="border px-1 py-1">
+                      {result.issues.map((issue, k) => (
+                        <div key={k} className={issue.blocking ? "text-red-600" : "text-amber-600"}>{issue.message}</div>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={EDIT_COLUMNS.length + 4} className="border px-1 py-3 text-center text-slate-500">لا توجد مشاكل في الصفوف</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {blocked.length > 0 && (
+          <p className="text-xs text-red-600">
+            صفوف مضمّنة بها أخطاء: {blocked.map(i => i + 1).join("، ")}. أصلحها أو استبعدها للمتابعة.
+          </p>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onCancel}>إلغاء</button>
+          <button
+            className="px-3 py-1.5 rounded-xl bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+            disabled={blocked.length > 0 || included.length === 0}
+            onClick={start}
+          >
+            بدء الدفعة ({included.length} صف)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
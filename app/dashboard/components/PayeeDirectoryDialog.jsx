@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from "react";
+import { findPayee, newPayee, parsePayeeAliases, payeeCandidates, searchPayees } from "../lib/payees";
+
+/**
+ * Payee directory editor. candidateNames are payee names seen in history and
+ * imports; the ones the directory does not know yet can be added in one click.
+ */
+export default function PayeeDirectoryDialog({ payees, templates, candidateNames, onChange, onClose }) {
+  const [query, setQuery] = useState("");
+  const listed = query.trim() ? searchPayees(query, payees, payees.length) : payees;
+  const candidates = useMemo(() => payeeCandidates(candidateNames, payees), [candidateNames, payees]);
+  // The typed name becomes a new payee only when the directory does not already know it
+  const canAdd = !!query.trim() && !findPayee(query, payees);
+
+  const update = (id, patch) => onChange(payees.map(p => (p.id === id ? { ...p, ...patch } : p)));
+  const remove = (id) => onChange(payees.filter(p => p.id !== id));
+  const add = (names) => onChange([...payees, ...names.map(newPayee)]);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-4xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">دليل المستفيدين</h2>
+          <span className="text-xs text-slate-500">{payees.length} مستفيد</span>
+        </div>
+
+        <div className="flex gap-2 text-sm">
+          <input
+            className="flex-1 border rounded-xl px-2 py-1"
+            placeholder="بحث بالاسم أو الاسم البديل"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button
+            className="px-3 py-1 rounded-xl border bg-white hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={!canAdd}
+            title={query.trim() && !canAdd ? "المستفيد موجود في الدليل" : undefined}
+            onClick={() => add([query.trim()])}
+          >
+            ➕ مستفيد جديد
+          </button>
+        </div>
+
+        <div className="overflow-auto">
+          <table className="w-full text-xs border">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="border px-1 py-1">الاسم القانوني (يُطبع على الشيك)</th>
+                <th className="border px-1 py-1">أسماء بديلة (مفصولة بفاصلة)</th>
+                <th className="border px-1 py-1">الغرض الافتراضي</th>
+                <th className="border px-1 py-1">القالب</th>
+                <th className="border px-1 py-1">البنك</th>
+                <th className="border px-1 py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {listed.map(p => (
+                <tr key={p.id}>
+                  <td className="border p-0.5">
+                    <input className="w-full border rounded px-1 py-0.5" value={p.name} onChange={(e) => update(p.id, { name: e.target.value })} />
+                  </td>
+                  <td className="border p-0.5">
+                    <input
+                      className="w-full border rounded px-1 py-0.5"
+                      defaultValue={(p.aliases || []).join("، ")}
+                      onBlur={(e) => update(p.id, { aliases: parsePayeeAliases(e.target.value) })}
+                    />
+                  </td>
+                  <td className="border p-0.5">
+                    <input className="w-full border rounded px-1 py-0.5" value={p.memo || ""} onChange={(e) => update(p.id, { memo: e.target.value })} />
+                  </td>
+                  <td className="border p-0.5">
+                    <select className="w-full border rounded px-1 py-0.5" value={p.templateId || ""} onChange={(e) => update(p.id, { templateId: e.target.value })}>
+                      <option value="">—</option>
+                      {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                    </select>
+                  </td>
+                  <td className="border p-0.5">
+                    <input className="w-full border rounded px-1 py-0.5" value={p.bank || ""} onChange={(e) => update(p.id, { bank: e.target.value })} />
+                  </td>
+                  <td className="border px-1 py-1 text-center">
+                    <button className="text-red-600 hover:underline" onClick={() => confirm(`حذف "${p.name}" من الدليل؟`) && remove(p.id)}>حذف</button>
+                  </td>
+                </tr>
+              ))}
+              {listed.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="border px-1 py-3 text-center text-slate-500">لا يوجد مستفيدون</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {candidates.length > 0 && (
+          <div className="p-3 bg-blue-50 border border-blue-200 rounded-xl space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span>أسماء من السجل والملفات المستوردة غير موجودة في الدليل ({candidates.length})</span>
+              <button className="px-2 py-1 text-xs rounded-lg border bg-white hover:bg-blue-100" onClick={() => add(candidates)}>إضافة الكل</button>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {candidates.map(name => (
+                <button key={name} className="px-2 py-0.5 text-xs rounded-lg border bg-white hover:bg-blue-100" onClick={() => add([name])}>
+                  ➕ {name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+        </div>
+      </div>
+    </div>
+  );
+}
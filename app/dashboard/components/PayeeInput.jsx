@@ -0,0 +1,56 @@
+import React, { useMemo, useState } from "react";
+import { searchPayees } from "../lib/payees";
+
+/**
+ * Payee text input with suggestions from the payee directory. Picking a
+ * suggestion calls onPick(payee) so the caller can apply the legal name and defaults.
+ */
+export default function PayeeInput({ value, onChange, payees, onPick, className }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const suggestions = useMemo(() => searchPayees(value, payees), [value, payees]);
+  const visible = open && suggestions.length > 0;
+
+  const pick = (payee) => {
+    onPick(payee);
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (!visible) return;
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive(i => (i + 1) % suggestions.length); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive(i => (i - 1 + suggestions.length) % suggestions.length); }
+    else if (e.key === "Enter") { e.preventDefault(); pick(suggestions[active] || suggestions[0]); }
+    else if (e.key === "Escape") setOpen(false);
+  };
+
+  return (
+    <div className={`relative ${className || ""}`}>
+      <input
+        className="w-full border rounded-xl px-3 py-2"
+        value={value}
+        onChange={(e) => { onChange(e.target.value); setOpen(true); setActive(0); }}
+        onFocus={() => setOpen(true)}
+        // Delay so a click on a suggestion lands before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={onKeyDown}
+      />
+      {visible && (
+        <ul className="absolute z-20 mt-1 w-full bg-white border rounded-xl shadow max-h-60 overflow-auto text-sm">
+          {suggestions.map((p, i) => (
+            <li
+              key={p.id}
+              className={`px-3 py-1.5 cursor-pointer ${i === active ? "bg-blue-50" : "hover:bg-slate-50"}`}
+              onMouseDown={(e) => { e.preventDefault(); pick(p); }}
+            >
+              <div>{p.name}</div>
+              {(p.aliases?.length > 0 || p.memo) && (
+                <div className="text-xs text-slate-500">{[p.aliases?.join("، "), p.memo].filter(Boolean).join(" · ")}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,255 @@
+import React, { useMemo, useState } from "react";
+import { readBatchFile } from "../lib/batchImport";
+import { columnCount, columnLetter } from "../lib/columnMapping";
+import { chequeStatus, statusInfo } from "../lib/chequeStatus";
+import { CURRENCIES, getCurrency } from "../lib/currencies";
+import {
+  DEFAULT_DATE_TOLERANCE_DAYS,
+  STATEMENT_FIELDS,
+  detectStatementColumns,
+  reconcileStatement,
+  statementAccounts,
+  statementLines,
+  statementMappingError,
+} from "../lib/reconciliation";
+
+const STATEMENT_ACCEPT = ".xlsx,.xls,.ods,.csv,.txt";
+
+/**
+ * Bank statement reconciliation. The statement file is read here, its columns
+ * detected (and adjustable), and its debit lines matched to the history of the
+ * bank account and currency picked for it, starting from defaultTemplateId's account.
+ * onApply(result, fileName) marks the matches cleared and saves the snapshot;
+ * snapshots are the saved reconciliations, newest first.
+ */
+export default function ReconciliationDialog({ history, snapshots, templates, defaultTemplateId, onApply, onClose }) {
+  const [statement, setStatement] = useState(null); // { fileName, rows, headerRow, mapping }
+  const accounts = useMemo(() => statementAccounts(templates, history), [templates, history]);
+  const [accountKey, setAccountKey] = useState(() => {
+    const account = templates.find(t => t.id === defaultTemplateId)?.chequebook?.account;
+    return (accounts.find(a => a.key === account) || accounts.find(a => a.templateId === defaultTemplateId) || accounts[0])?.key || "";
+  });
+  const selected = accounts.find(a => a.key === accountKey);
+  const [currency, setCurrency] = useState(() => getCurrency(templates.find(t => t.id === selected?.templateId)?.currency).code);
+  const [tolerance, setTolerance] = useState(DEFAULT_DATE_TOLERANCE_DAYS);
+  const [error, setError] = useState("");
+  const templateName = (id) => templates.find(t => t.id === id)?.name || id || "—";
+  const accountLabel = ({ account, templateId }) => (account ? `${account} (${templateName(templateId)})` : `${templateName(templateId)} - بدون رقم حساب`);
+
+  const mappingError = statement && statementMappingError(statement.mapping);
+  const result = useMemo(() => {
+    if (!statement || mappingError || !selected) return null;
+    const lines = statementLines(statement.rows, statement.headerRow, statement.mapping, currency);
+    return reconcileStatement(lines, history, { currency, account: selected.account, templateId: selected.templateId, dateToleranceDays: Number(tolerance) || 0 });
+  }, [statement, mappingError, history, tolerance, currency, selected]);
+
+  // A statement is in its account's currency; picking the account suggests its template's
+  const selectAccount = (key) => {
+    setAccountKey(key);
+    const template = templates.find(t => t.id === accounts.find(a => a.key === key)?.templateId);
+    if (template) setCurrency(getCurrency(template.currency).code);
+  };
+  const toClear = result ? result.matches.filter(m => chequeStatus(m.record) !== "cleared").length : 0;
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError("");
+    try {
+      const { rows } = await readBatchFile(file);
+      if (!rows.length) throw new Error("الملف لا يحتوي على بيانات");
+      setStatement({ fileName: file.name, rows, ...detectStatementColumns(rows) });
+    } catch (err) {
+      setStatement(null);
+      setError(err?.message || "فشل في قراءة الملف");
+    } finally {
+      e.target.value = "";
+    }
+  };
+
+  const setColumn = (fieldId, value) => setStatement(prev => {
+    const mapping = { ...prev.mapping };
+    if (value === "") delete mapping[fieldId];
+    else mapping[fieldId] = Number(value);
+    return { ...prev, mapping };
+  });
+
+  const headers = statement?.headerRow >= 0 ? statement.rows[statement.headerRow] : [];
+  const columnLabel = (idx) => `${columnLetter(idx)}${headers[idx] !== undefined && headers[idx] !== "" ? ` - ${headers[idx]}` : ""}`;
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-5xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <h2 className="font-semibold">تسوية كشف الحساب البنكي</h2>
+
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="px-3 py-1.5 rounded-xl bg-blue-500 text-white hover:bg-blue-600 cursor-pointer">
+            📄 استيراد كشف حساب (Excel / CSV)
+            <input type="file" accept={STATEMENT_ACCEPT} className="hidden" onChange={handleFile} />
+          </label>
+          <label>
+            <span className="block text-xs">حساب الكشف</span>
+            <select className="border rounded-xl px-2 py-1" value={accountKey} onChange={(e) => selectAccount(e.target.value)}>
+              {accounts.map(a => <option key={a.key} value={a.key}>{accountLabel(a)}</option>)}
+            </select>
+          </label>
+          <label>
+            <span className="block text-xs">عملة الكشف</span>
+            <select className="border rounded-xl px-2 py-1" value={currency} onChange={(e) => setCurrency(e.target.value)}>
+              {Object.values(CURRENCIES).map(c => <option key={c.code} value={c.code}>{c.code} - {c.label}</option>)}
+            </select>
+          </label>
+          <label>
+            <span className="block text-xs">فرق التاريخ المسموح (أيام)</span>
+            <input type="number" min={0} className="w-24 border rounded-xl px-2 py-1" value={tolerance} onChange={(e) => setTolerance(e.target.value)} />
+          </label>
+          {statement && <span className="text-xs text-slate-500">{statement.fileName}</span>}
+        </div>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+
+        {statement && (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-xs p-2 bg-slate-50 border rounded-xl">
+            {STATEMENT_FIELDS.map(f => (
+              <label key={f.id}>
+                <span className="block">{f.label}</span>
+                <select className="w-full border rounded-lg px-1 py-0.5" value={statement.mapping[f.id] ?? ""} onChange={(e) => setColumn(f.id, e.target.value)}>
+                  <option value="">— غير موجود —</option>
+                  {Array.from({ length: columnCount(statement.rows) }, (_, idx) => (
+                    <option key={idx} value={idx}>{columnLabel(idx)}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            {mappingError && <div className="col-span-full text-red-600">{mappingError}</div>}
+          </div>
+        )}
+
+        {result && (
+          <>
+            <div className="flex flex-wrap gap-2 text-xs">
+              <span className="px-2 py-0.5 rounded-lg bg-slate-100">{accountLabel(result)} · {result.currency}</span>
+              <span className="px-2 py-0.5 rounded-lg bg-slate-100">الفترة: {result.period.from} - {result.period.to}</span>
+              <span className="px-2 py-0.5 rounded-lg bg-green-100 text-green-800">مطابق: {result.matches.length}</span>
+              <span className="px-2 py-0.5 rounded-lg bg-red-100 text-red-800">حركات غير مطابقة: {result.unmatchedLines.length}</span>
+              <span className="px-2 py-0.5 rounded-lg bg-amber-100 text-amber-800">شيكات قائمة غير مصروفة: {result.unmatchedRecords.length}</span>
+            </div>
+
+            <details open className="text-xs">
+              <summary className="cursor-pointer font-medium">الحركات المطابقة ({result.matches.length})</summary>
+              <table className="w-full border mt-1">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="border px-1 py-0.5">سطر</th>
+                    <th className="border px-1 py-0.5">تاريخ الكشف</th>
+                    <th className="border px-1 py-0.5">المبلغ</th>
+                    <th className="border px-1 py-0.5">رقم الشيك</th>
+                    <th className="border px-1 py-0.5">المستفيد</th>
+                    <th className="border px-1 py-0.5">تاريخ الشيك</th>
+                    <th className="border px-1 py-0.5">المطابقة</th>
+                    <th className="border px-1 py-0.5">الحالة</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.matches.map(({ line, record, by }) => (
+                    <tr key={line.line}>
+                      <td className="border px-1 py-0.5 text-center">{line.line}</td>
+                      <td className="border px-1 py-0.5 font-mono">{line.date}</td>
+                      <td className="border px-1 py-0.5 font-mono" dir="ltr">{line.amount} {result.currency}</td>
+                      <td className="border px-1 py-0.5 font-mono">{record.chequeNumber || "—"}</td>
+                      <td className="border px-1 py-0.5">{record.form?.payee}</td>
+                      <td className="border px-1 py-0.5 font-mono">{record.form?.date}</td>
+                      <td className="border px-1 py-0.5">{by === "number" ? "رقم الشيك والمبلغ" : "المبلغ والتاريخ"}</td>
+                      <td className="border px-1 py-0.5">{statusInfo(chequeStatus(record)).label}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+
+            {result.unmatchedLines.length > 0 && (
+              <details open className="text-xs">
+                <summary className="cursor-pointer font-medium text-red-700">حركات في الكشف بدون شيك مطابق ({result.unmatchedLines.length})</summary>
+                <table className="w-full border mt-1">
+                  <tbody>
+                    {result.unmatchedLines.map(({ line, reason }) => (
+                      <tr key={line.line}>
+                        <td className="border px-1 py-0.5 text-center">{line.line}</td>
+                        <td className="border px-1 py-0.5 font-mono">{line.date}</td>
+                        <td className="border px-1 py-0.5 font-mono" dir="ltr">{line.amount}</td>
+                        <td className="border px-1 py-0.5 font-mono">{line.chequeNumber || "—"}</td>
+                        <td className="border px-1 py-0.5">{line.description}</td>
+                        <td className="border px-1 py-0.5 text-red-700">{reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
+
+            {result.unmatchedRecords.length > 0 && (
+              <details className="text-xs">
+                <summary className="cursor-pointer font-medium text-amber-700">شيكات قائمة لم تظهر في الكشف ({result.unmatchedRecords.length})</summary>
+                <table className="w-full border mt-1">
+                  <tbody>
+                    {result.unmatchedRecords.map(record => (
+                      <tr key={record.id}>
+                        <td className="border px-1 py-0.5 font-mono">{record.chequeNumber || "—"}</td>
+                        <td className="border px-1 py-0.5 font-mono">{record.form?.date}</td>
+                        <td className="border px-1 py-0.5">{record.form?.payee}</td>
+                        <td className="border px-1 py-0.5 font-mono" dir="ltr">{record.form?.amount} {record.form?.currency}</td>
+                        <td className="border px-1 py-0.5">{statusInfo(chequeStatus(record)).label}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
+          </>
+        )}
+
+        {snapshots.length > 0 && (
+          <details className="text-xs">
+            <summary className="cursor-pointer font-medium">التسويات المحفوظة ({snapshots.length})</summary>
+            <table className="w-full border mt-1">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="border px-1 py-0.5">الفترة</th>
+                  <th className="border px-1 py-0.5">الحساب</th>
+                  <th className="border px-1 py-0.5">الملف</th>
+                  <th className="border px-1 py-0.5">مطابق</th>
+                  <th className="border px-1 py-0.5">حركات غير مطابقة</th>
+                  <th className="border px-1 py-0.5">شيكات قائمة</th>
+                  <th className="border px-1 py-0.5">وقت الحفظ</th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(s => (
+                  <tr key={s.id}>
+                    <td className="border px-1 py-0.5 font-mono">{s.period.from} - {s.period.to}</td>
+                    <td className="border px-1 py-0.5">{accountLabel(s)}{s.currency && ` · ${s.currency}`}</td>
+                    <td className="border px-1 py-0.5">{s.fileName}</td>
+                    <td className="border px-1 py-0.5 text-center">{s.matches.length}</td>
+                    <td className="border px-1 py-0.5 text-center">{s.unmatchedLines.length}</td>
+                    <td className="border px-1 py-0.5 text-center">{s.unmatchedRecords.length}</td>
+                    <td className="border px-1 py-0.5">{new Date(s.at).toLocaleString("ar-EG")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            className="px-3 py-1.5 rounded-xl bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            disabled={!result || !result.period.to}
+            onClick={() => onApply(result, statement.fileName)}
+          >
+            ✅ حفظ التسوية{toClear > 0 && ` وصرف ${toClear} شيك`}
+          </button>
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+        </div>
+      </div>
+    </div>
+  );
+}
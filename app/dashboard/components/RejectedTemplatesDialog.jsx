@@ -0,0 +1,32 @@
+import React from "react";
+
+/**
+ * Stored templates that could not be upgraded or failed validation on load.
+ * errors has one message per template; savedAside is false when they could not
+ * be kept for recovery. onExport() downloads them with those set aside before.
+ */
+export default function RejectedTemplatesDialog({ errors, savedAside, onExport, onClose }) {
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-2xl max-h-[90vh] overflow-auto p-4 space-y-3">
+        <h2 className="font-semibold text-red-700">⚠️ تعذّر تحميل {errors.length} قالب</h2>
+        <p className="text-sm text-slate-600">
+          {savedAside
+            ? "هذه القوالب لم تُحمَّل لأنها تالفة أو من إصدار غير مدعوم، وحُفظت نسخة منها جانباً ويمكن تصديرها لإصلاحها ثم استيرادها."
+            : "هذه القوالب لم تُحمَّل لأنها تالفة أو من إصدار غير مدعوم، وتعذّر حفظ نسخة منها (مساحة التخزين ممتلئة) - صدّرها الآن فلن تبقى محفوظة بعد إغلاق البرنامج."}
+        </p>
+        <ul className="text-sm text-red-800 bg-red-50 border border-red-200 rounded-xl p-3 space-y-1 list-disc list-inside">
+          {errors.map((error, i) => (
+            <li key={i}>{error}</li>
+          ))}
+        </ul>
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1.5 rounded-xl bg-blue-500 text-white hover:bg-blue-600" onClick={onExport}>
+            📤 تصدير القوالب المستبعدة
+          </button>
+          <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useMemo, useState } from "react";
+import { buildSpendingReport, EMPTY_REPORT_FILTERS, REPORT_GROUPS } from "../lib/reports";
+
+const formatTotal = (value) => (value ?? 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 3 });
+
+/**
+ * Spending report over the history. onExport(report) saves it as XLSX and
+ * onPrint() prints the report page (shown only when printing) for a PDF.
+ */
+export default function ReportsDialog({ history, templates, onExport, onPrint, onClose }) {
+  const [filters, setFilters] = useState(EMPTY_REPORT_FILTERS);
+  const report = useMemo(() => buildSpendingReport(history, filters, templates), [history, filters, templates]);
+  const groupLabel = REPORT_GROUPS.find(g => g.id === filters.groupBy)?.label;
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const period = filters.dateFrom || filters.dateTo ? `من ${filters.dateFrom || "البداية"} إلى ${filters.dateTo || "اليوم"}` : "كل الفترات";
+
+  const table = (
+    <table className="w-full text-xs border">
+      <thead className="bg-slate-50">
+        <tr>
+          <th className="border px-1 py-1">{groupLabel}</th>
+          <th className="border px-1 py-1">عدد الشيكات</th>
+          {report.currencies.map(code => <th key={code} className="border px-1 py-1">{code}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {report.rows.map(row => (
+          <tr key={row.key}>
+            <td className="border px-1 py-1">{row.label}</td>
+            <td className="border px-1 py-1 text-center">{row.count}</td>
+            {report.currencies.map(code => (
+              <td key={code} className="border px-1 py-1 font-mono text-left" dir="ltr">{row.totals[code] ? formatTotal(row.totals[code]) : "—"}</td>
+            ))}
+          </tr>
+        ))}
+        {report.rows.length === 0 && (
+          <tr>
+            <td colSpan={2 + report.currencies.length} className="border px-1 py-3 text-center text-slate-500">لا توجد شيكات في هذه الفترة</td>
+          </tr>
+        )}
+      </tbody>
+      <tfoot className="bg-slate-50 font-semibold">
+        <tr>
+          <td className="border px-1 py-1">الإجمالي</td>
+          <td className="border px-1 py-1 text-center">{report.total.count}</td>
+          {report.currencies.map(code => (
+            <td key={code} className="border px-1 py-1 font-mono text-left" dir="ltr">{formatTotal(report.total.totals[code])}</td>
+          ))}
+        </tr>
+      </tfoot>
+    </table>
+  );
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4 print:hidden" dir="rtl">
+        <div className="bg-white rounded-2xl shadow-lg w-full max-w-4xl max-h-[90vh] overflow-auto p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="font-semibold">تقارير المصروفات</h2>
+            <span className="text-xs text-slate-500">{report.total.count} شيك · {period}</span>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            <label>
+              <span className="block text-xs">التجميع حسب</span>
+              <select className="w-full border rounded-xl px-2 py-1" value={filters.groupBy} onChange={(e) => setFilter("groupBy", e.target.value)}>
+                {REPORT_GROUPS.map(g => <option key={g.id} value={g.id}>{g.label}</option>)}
+              </select>
+            </label>
+            <label>
+              <span className="block text-xs">تاريخ الشيك من</span>
+              <input type="date" className="w-full border rounded-xl px-2 py-1" value={filters.dateFrom} onChange={(e) => setFilter("dateFrom", e.target.value)} />
+            </label>
+            <label>
+              <span className="block text-xs">إلى</span>
+              <input type="date" className="w-full border rounded-xl px-2 py-1" value={filters.dateTo} onChange={(e) => setFilter("dateTo", e.target.value)} />
+            </label>
+            <label className="flex items-end gap-2 text-xs pb-1.5">
+              <input type="checkbox" checked={filters.includeVoid} onChange={(e) => setFilter("includeVoid", e.target.checked)} />
+              تضمين الأوراق التالفة والشيكات الملغاة
+            </label>
+          </div>
+
+          <div className="overflow-auto max-h-[55vh]">{table}</div>
+
+          <div className="flex justify-end gap-2">
+            <button className="px-3 py-1.5 rounded-xl bg-green-600 text-white hover:bg-green-700 disabled:opacity-50" disabled={!report.total.count} onClick={() => onExport(report)}>
+              📊 تصدير Excel
+            </button>
+            <button className="px-3 py-1.5 rounded-xl bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50" disabled={!report.total.count} onClick={onPrint}>
+              📄 طباعة / PDF
+            </button>
+            <button className="px-3 py-1.5 rounded-xl bg-gray-100 hover:bg-gray-200" onClick={onClose}>إغلاق</button>
+          </div>
+        </div>
+      </div>
+
+      {/* Printed instead of the page when exporting to PDF */}
+      <div className="report-print hidden print:block p-2 space-y-2 text-black" dir="rtl">
+        <h1 className="text-lg font-bold">تقرير المصروفات حسب {groupLabel}</h1>
+        <p className="text-xs">
+          {period} · {report.total.count} شيك · أُعدّ في {new Date().toLocaleString("ar-EG")}
+          {!filters.includeVoid && " · بدون الأوراق التالفة والشيكات الملغاة"}
+        </p>
+        {table}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,36 @@
+// Amount input parsing: Arabic-Indic digits, the Arabic decimal separator (٫),
+// thousands separators and surrounding spaces are accepted; anything else is rejected.
+
+import { MAX_ARABIC_WORDS_AMOUNT } from "./arabicWords";
+import { normalizeDigits } from "./digits";
+
+// 1,250.50 / 1٬250٫50 / 1250.50 (grouping must be in threes when used)
+const AMOUNT_RE = /^(\d{1,3}(?:[,٬]\d{3})+|\d+)(?:\.(\d+))?$/;
+
+/**
+ * Parses a user-typed amount for `currency`.
+ * Returns { value, text, error }: `value` is the number, `text` the canonical
+ * fixed-point string ("1250.50"); on failure value/text are null and `error`
+ * is an Arabic message for the UI.
+ */
+export function parseAmount(input, currency) {
+  const fail = (error) => ({ value: null, text: null, error });
+  const raw = normalizeDigits(input).replace(/[\u200e\u200f]/g, "").trim();
+  if (!raw) return fail("أدخل المبلغ");
+  if (/^[-−–]/.test(raw)) return fail("المبلغ لا يمكن أن يكون سالباً");
+
+  const match = AMOUNT_RE.exec(raw);
+  if (!match) return fail("صيغة المبلغ غير صحيحة");
+  const integerPart = match[1].replace(/[,٬]/g, "");
+  const fractionPart = match[2] || "";
+  if (fractionPart.length > currency.decimals) {
+    return fail(`لا يزيد الكسر عن ${currency.decimals} أرقام عشرية لعملة ${currency.label}`);
+  }
+
+  const value = Number(`${integerPart}.${fractionPart || "0"}`);
+  if (value === 0) return fail("المبلغ يجب أن يكون أكبر من صفر");
+  if (Number(integerPart) > MAX_ARABIC_WORDS_AMOUNT) return fail("المبلغ يتجاوز الحد المسموح به");
+
+  const text = `${integerPart.replace(/^0+(?=\d)/, "")}.${fractionPart.padEnd(currency.decimals, "0")}`;
+  return { value, text, error: null };
+}
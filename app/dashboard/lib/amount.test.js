@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { parseAmount } from "./amount";
+import { CURRENCIES } from "./currencies";
+
+const { EGP, KWD } = CURRENCIES;
+
+describe("parseAmount", () => {
+  it("reads grouped, Arabic-Indic and plain amounts into canonical text", () => {
+    expect(parseAmount("1,250.5", EGP)).toEqual({ value: 1250.5, text: "1250.50", error: null });
+    expect(parseAmount("١٬٢٥٠٫٥٠", EGP)).toEqual({ value: 1250.5, text: "1250.50", error: null });
+    expect(parseAmount(" 0075 ", EGP).text).toBe("75.00");
+  });
+
+  it("pads the fraction to the currency's decimals", () => {
+    expect(parseAmount("12.3", KWD).text).toBe("12.300");
+  });
+
+  it("rejects empty, negative, zero and malformed amounts", () => {
+    for (const input of ["", "-5", "0", "0.00", "12a", "1,25.00", "1.2.3"]) {
+      const result = parseAmount(input, EGP);
+      expect(result.value).toBeNull();
+      expect(result.error).toBeTruthy();
+    }
+  });
+
+  it("rejects more decimals than the currency has", () => {
+    expect(parseAmount("1.005", EGP).error).toBeTruthy();
+    expect(parseAmount("1.005", KWD).text).toBe("1.005");
+  });
+});
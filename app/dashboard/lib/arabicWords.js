@@ -0,0 +1,122 @@
+// Formal Arabic amount-in-words (tafqeet) for cheques.
+//
+// Grammar rules applied to the counted noun (tamyeez):
+// - 1       → noun + "واحد" agreeing in gender       (جنيه مصري واحد)
+// - 2       → dual form of the noun, no numeral       (جنيهان مصريان)
+// - 3..10   → numeral of opposite gender + plural     (ثلاثة جنيهات / ثلاث هللات)
+// - 11..99  → singular in the accusative (tanween)    (أحد عشر جنيهاً / إحدى عشرة هللة)
+// - 100, 1000, ... (last two digits 00) → singular genitive (مائة جنيه)
+// - compound numbers ending in 01/02 keep the singular (مائة وواحد جنيه)
+// Numbers immediately followed by a noun take the construct state:
+// مائتان → مائتا جنيه, ألفان → ألفا جنيه, أحد عشر ألفاً → أحد عشر ألف جنيه.
+
+// Largest integer part we can write (999 billion).
+export const MAX_ARABIC_WORDS_AMOUNT = 999_999_999_999;
+
+// Numerals used when counting a masculine noun (index = value)
+const UNITS_MASC = ["", "واحد", "اثنان", "ثلاثة", "أربعة", "خمسة", "ستة", "سبعة", "ثمانية", "تسعة", "عشرة"];
+// Numerals used when counting a feminine noun
+const UNITS_FEM = ["", "واحدة", "اثنتان", "ثلاث", "أربع", "خمس", "ست", "سبع", "ثماني", "تسع", "عشر"];
+
+const TEENS_MASC = ["", "أحد عشر", "اثنا عشر", "ثلاثة عشر", "أربعة عشر", "خمسة عشر", "ستة عشر", "سبعة عشر", "ثمانية عشر", "تسعة عشر"];
+const TEENS_FEM = ["", "إحدى عشرة", "اثنتا عشرة", "ثلاث عشرة", "أربع عشرة", "خمس عشرة", "ست عشرة", "سبع عشرة", "ثماني عشرة", "تسع عشرة"];
+
+const TENS = ["", "", "عشرون", "ثلاثون", "أربعون", "خمسون", "ستون", "سبعون", "ثمانون", "تسعون"];
+const HUNDREDS = ["", "مائة", "مائتان", "ثلاثمائة", "أربعمائة", "خمسمائة", "ستمائة", "سبعمائة", "ثمانمائة", "تسعمائة"];
+const HUNDREDS_CONSTRUCT_TWO = "مائتا";
+
+// Scale words are masculine nouns counted like any other noun.
+// `standalone` means 1 and 2 are expressed by the noun alone (ألف / ألفان).
+const SCALES = [
+  { value: 1_000_000_000, singular: "مليار", dual: "ملياران", dualConstruct: "مليارا", plural: "مليارات", accusative: "ملياراً", feminine: false, standalone: true },
+  { value: 1_000_000, singular: "مليون", dual: "مليونان", dualConstruct: "مليونا", plural: "ملايين", accusative: "مليوناً", feminine: false, standalone: true },
+  { value: 1_000, singular: "ألف", dual: "ألفان", dualConstruct: "ألفا", plural: "آلاف", accusative: "ألفاً", feminine: false, standalone: true },
+];
+
+const joinWaw = (parts) => parts.filter(Boolean).join(" و");
+
+// 1..99
+function tensWords(num, feminine) {
+  const units = feminine ? UNITS_FEM : UNITS_MASC;
+  if (num <= 10) return units[num];
+  if (num < 20) return (feminine ? TEENS_FEM : TEENS_MASC)[num - 10];
+  const ten = Math.floor(num / 10);
+  const one = num % 10;
+  if (!one) return TENS[ten];
+  // 21, 31, ... use إحدى for feminine nouns
+  const unit = one === 1 && feminine ? "إحدى" : units[one];
+  return `${unit} و${TENS[ten]}`;
+}
+
+// 1..999
+function belowThousand(num, feminine, construct) {
+  const h = Math.floor(num / 100);
+  const t = num % 100;
+  const hundred = h === 2 && !t && construct ? HUNDREDS_CONSTRUCT_TWO : HUNDREDS[h];
+  return joinWaw([hundred, t ? tensWords(t, feminine) : ""]);
+}
+
+// Form of the counted noun for a count whose last two digits are `r`
+function tamyeez(noun, r, construct) {
+  if (r >= 3 && r <= 10) return noun.plural;
+  if (r >= 11) return construct ? noun.singular : noun.accusative;
+  return noun.singular;
+}
+
+/**
+ * Writes `count` followed by `noun` with full agreement.
+ * noun: { singular, dual, plural, accusative, feminine, dualConstruct?, standalone? }
+ * construct: true when another noun follows directly (only meaningful for scale words).
+ */
+export function arabicCountedNoun(count, noun, construct = false) {
+  count = Math.floor(Math.abs(Number(count)));
+  if (!isFinite(count) || count === 0) return "";
+  if (count === 1) {
+    return noun.standalone ? noun.singular : `${noun.singular} ${noun.feminine ? "واحدة" : "واحد"}`;
+  }
+  if (count === 2) return construct && noun.dualConstruct ? noun.dualConstruct : noun.dual;
+  const r = count % 100;
+  const words = numberToArabicWords(count, { feminine: noun.feminine, construct: r === 0 });
+  return `${words} ${tamyeez(noun, r, construct)}`;
+}
+
+/**
+ * Integer → Arabic words in the nominative.
+ * feminine: the numeral counts a feminine noun (ثلاث instead of ثلاثة).
+ * construct: the number is directly followed by its counted noun (مائتا / ألفا).
+ */
+export function numberToArabicWords(n, { feminine = false, construct = false } = {}) {
+  n = Number(n);
+  if (!isFinite(n)) return "";
+  n = Math.floor(Math.abs(n));
+  if (n === 0) return "صفر";
+  if (n > MAX_ARABIC_WORDS_AMOUNT) return "";
+
+  const parts = [];
+  let rest = n;
+  for (const scale of SCALES) {
+    const q = Math.floor(rest / scale.value);
+    rest %= scale.value;
+    if (q) parts.push(arabicCountedNoun(q, scale, construct && rest === 0));
+  }
+  if (rest) parts.push(belowThousand(rest, feminine, construct));
+  return joinWaw(parts);
+}
+
+/**
+ * Amount → "<main> و<sub>" e.g. 1250.5 → "ألف ومائتان وخمسون جنيهاً مصرياً وخمسون قرشاً".
+ * Units are noun descriptors from ./currencies.js; `decimals` is the number of
+ * sub-unit digits (100 piastres → 2, 1000 fils → 3).
+ */
+export function formatArabicCurrencyWords(amount, mainUnit, subUnit, decimals = 2) {
+  const n = Number(amount);
+  if (!isFinite(n)) return "";
+  const factor = 10 ** decimals;
+  // Round on the smallest unit so 1.999 becomes 2 pounds and not 1 pound and 100 piastres
+  const total = Math.round(Math.abs(n) * factor);
+  const integer = Math.floor(total / factor);
+  const fraction = total % factor;
+  if (integer > MAX_ARABIC_WORDS_AMOUNT) return "";
+  if (!integer && !fraction) return `صفر ${mainUnit.singular}`;
+  return joinWaw([arabicCountedNoun(integer, mainUnit), arabicCountedNoun(fraction, subUnit)]);
+}
@@ -0,0 +1,125 @@
+// Arabic amount words → number, the inverse of formatArabicCurrencyWords.
+// Used as a print-time check that the written amount equals the numeric amount,
+// so a regression in the words engine can never reach a cheque.
+
+const PREFIX = "فقط";
+const SUFFIX = ["لا", "غير"];
+
+// Numeral words are summed inside a group (أحد عشر = 1 + 10, إحدى وعشرون = 1 + 20)
+const NUMBER_WORDS = {
+  صفر: 0,
+  واحد: 1, واحدة: 1, أحد: 1, إحدى: 1,
+  اثنان: 2, اثنتان: 2, اثنا: 2, اثنتا: 2,
+  ثلاثة: 3, ثلاث: 3, أربعة: 4, أربع: 4, خمسة: 5, خمس: 5,
+  ستة: 6, ست: 6, سبعة: 7, سبع: 7, ثمانية: 8, ثماني: 8, تسعة: 9, تسع: 9,
+  عشرة: 10, عشر: 10,
+  عشرون: 20, ثلاثون: 30, أربعون: 40, خمسون: 50, ستون: 60, سبعون: 70, ثمانون: 80, تسعون: 90,
+  مائة: 100, مائتان: 200, مائتا: 200, ثلاثمائة: 300, أربعمائة: 400, خمسمائة: 500,
+  ستمائة: 600, سبعمائة: 700, ثمانمائة: 800, تسعمائة: 900,
+};
+
+// Scale words multiply the current group; dual forms stand for 2 × scale on their own
+const SCALE_WORDS = {
+  ألف: { value: 1_000 }, ألفاً: { value: 1_000 }, آلاف: { value: 1_000 },
+  ألفان: { value: 1_000, dual: true }, ألفا: { value: 1_000, dual: true },
+  مليون: { value: 1_000_000 }, مليوناً: { value: 1_000_000 }, ملايين: { value: 1_000_000 },
+  مليونان: { value: 1_000_000, dual: true }, مليونا: { value: 1_000_000, dual: true },
+  مليار: { value: 1_000_000_000 }, ملياراً: { value: 1_000_000_000 }, مليارات: { value: 1_000_000_000 },
+  ملياران: { value: 1_000_000_000, dual: true }, مليارا: { value: 1_000_000_000, dual: true },
+};
+
+// Noun phrases of a currency unit, longest first, with the count a bare phrase implies
+function unitPhrases(noun, unit) {
+  return [
+    { tokens: noun.dual.split(" "), unit, implied: 2 },
+    { tokens: noun.plural.split(" "), unit, implied: null },
+    { tokens: noun.accusative.split(" "), unit, implied: null },
+    { tokens: noun.singular.split(" "), unit, implied: 1 },
+  ];
+}
+
+const isKnownWord = (w) => w in NUMBER_WORDS || w in SCALE_WORDS;
+
+/**
+ * Parses words produced by formatArabicCurrencyWords (optionally wrapped in
+ * "فقط … لا غير" and split over several lines) for `currency`.
+ * Returns the amount as a number, or null when the text cannot be read.
+ */
+export function parseArabicAmountWords(text, currency) {
+  let tokens = String(text ?? "").split(/\s+/).filter(Boolean);
+  if (tokens[0] === PREFIX) tokens = tokens.slice(1);
+  if (tokens.length >= 2 && tokens[tokens.length - 2] === SUFFIX[0] && tokens[tokens.length - 1] === SUFFIX[1]) {
+    tokens = tokens.slice(0, -2);
+  }
+  if (!tokens.length) return null;
+
+  const phrases = [...unitPhrases(currency.main, "main"), ...unitPhrases(currency.sub, "sub")]
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+  const counts = { main: null, sub: null };
+
+  let total = 0;      // completed scale groups
+  let group = 0;      // numerals since the last scale word
+  let hasNumber = false;
+  let lastImpliedOne = false; // "جنيه مصري واحد": the trailing واحد is already counted
+
+  for (let i = 0; i < tokens.length; ) {
+    // The conjunction و is attached to the following word
+    const strip = (w) => (isKnownWord(w) || !w.startsWith("و") ? w : w.slice(1));
+
+    const matches = phrases.filter(p => p.tokens.every((t, k) => {
+      const tok = tokens[i + k];
+      return tok !== undefined && (k === 0 ? (tok === t || tok === `و${t}`) : tok === t);
+    }));
+    // Indeclinable nouns (يورو) share one spelling across forms: a bare noun means the singular
+    const phrase = matches.find(p => hasNumber || p.implied !== null) || matches[0];
+    if (phrase) {
+      if (counts[phrase.unit] !== null) return null;
+      if (hasNumber) counts[phrase.unit] = total + group;
+      else if (phrase.implied !== null) counts[phrase.unit] = phrase.implied;
+      else return null;
+      lastImpliedOne = !hasNumber && phrase.implied === 1;
+      total = 0; group = 0; hasNumber = false;
+      i += phrase.tokens.length;
+      continue;
+    }
+
+    const word = strip(tokens[i]);
+    if (lastImpliedOne && (word === "واحد" || word === "واحدة")) {
+      lastImpliedOne = false;
+      i++;
+      continue;
+    }
+    lastImpliedOne = false;
+
+    if (word in NUMBER_WORDS) {
+      group += NUMBER_WORDS[word];
+      hasNumber = true;
+    } else if (word in SCALE_WORDS) {
+      const scale = SCALE_WORDS[word];
+      if (scale.dual) {
+        if (group) return null;
+        total += 2 * scale.value;
+      } else {
+        total += (group || 1) * scale.value;
+      }
+      group = 0;
+      hasNumber = true;
+    } else {
+      return null;
+    }
+    i++;
+  }
+
+  // Numerals left without a currency noun mean the text is malformed
+  if (hasNumber || (counts.main === null && counts.sub === null)) return null;
+  if ((counts.sub ?? 0) >= 10 ** currency.decimals) return null;
+  return (counts.main ?? 0) + (counts.sub ?? 0) / 10 ** currency.decimals;
+}
+
+// True when `words` read back as exactly `amount` in the currency's smallest unit
+export function amountWordsMatch(words, amount, currency) {
+  const parsed = parseArabicAmountWords(words, currency);
+  if (parsed === null) return false;
+  const factor = 10 ** currency.decimals;
+  return Math.round(parsed * factor) === Math.round(Number(amount) * factor);
+}
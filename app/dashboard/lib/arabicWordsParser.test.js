@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { formatArabicCurrencyWords } from "./arabicWords";
+import { amountWordsMatch, parseArabicAmountWords } from "./arabicWordsParser";
+import { CURRENCY_WORDS_TABLE, EGP_WORDS_TABLE } from "./arabicWordsTable";
+import { CURRENCIES } from "./currencies";
+
+// Whole amounts around every grammatical boundary (1, 2, 3–10, 11–99, 100s, scales)
+const WHOLE_AMOUNTS = [
+  ...Array.from({ length: 120 }, (_, i) => i + 1),
+  200, 201, 202, 203, 210, 211, 299, 300, 999, 1000, 1001, 1002, 1003, 1010, 1011, 1100, 2000, 2001,
+  3000, 10000, 11000, 12000, 100000, 101000, 200000, 999999, 1000000, 2000000, 3000000, 11000000,
+  1000000000, 2000000000, 999999999999,
+];
+
+// Deterministic spread of amounts with fractions (a fixed LCG keeps failures reproducible)
+function sampledAmounts(decimals, count) {
+  const factor = 10 ** decimals;
+  let seed = 20261019;
+  const next = () => (seed = (seed * 1103515245 + 12345) % 2 ** 31);
+  return Array.from({ length: count }, (_, i) => {
+    const digits = 1 + (i % 12);
+    const integer = next() % 10 ** Math.min(digits, 9) * (digits > 9 ? 1000 : 1);
+    return (integer * factor + (next() % factor)) / factor;
+  });
+}
+
+const roundTrip = (amount, currency) => {
+  const words = formatArabicCurrencyWords(amount, currency.main, currency.sub, currency.decimals);
+  return { words, parsed: parseArabicAmountWords(`فقط ${words} لا غير`, currency) };
+};
+
+describe("parseArabicAmountWords round trip", () => {
+  for (const currency of Object.values(CURRENCIES)) {
+    const factor = 10 ** currency.decimals;
+
+    it(`${currency.code}: reads back whole amounts and every sub-unit count`, () => {
+      const amounts = [...WHOLE_AMOUNTS, ...Array.from({ length: factor - 1 }, (_, i) => 7 + (i + 1) / factor)];
+      const mismatches = amounts
+        .map(amount => ({ amount, ...roundTrip(amount, currency) }))
+        .filter(({ amount, parsed }) => parsed === null || Math.round(parsed * factor) !== Math.round(amount * factor));
+      expect(mismatches).toEqual([]);
+    });
+
+    it(`${currency.code}: reads back sampled amounts with fractions`, () => {
+      const mismatches = sampledAmounts(currency.decimals, 500)
+        .map(amount => ({ amount, ...roundTrip(amount, currency) }))
+        .filter(({ amount, parsed }) => parsed === null || Math.round(parsed * factor) !== Math.round(amount * factor));
+      expect(mismatches).toEqual([]);
+    });
+  }
+
+  it("reads back every row of the reference table", () => {
+    for (const [amount, words] of EGP_WORDS_TABLE) expect(amountWordsMatch(words, amount, CURRENCIES.EGP)).toBe(true);
+    for (const [code, amount, words] of CURRENCY_WORDS_TABLE) expect(amountWordsMatch(words, amount, CURRENCIES[code])).toBe(true);
+  });
+
+  it("reads words split over two lines", () => {
+    const words = formatArabicCurrencyWords(1250.5, CURRENCIES.EGP.main, CURRENCIES.EGP.sub);
+    const cut = words.indexOf(" ", words.length / 2);
+    expect(parseArabicAmountWords(`فقط ${words.slice(0, cut)}\n${words.slice(cut + 1)} لا غير`, CURRENCIES.EGP)).toBe(1250.5);
+  });
+
+  it("rejects words for a different amount or malformed text", () => {
+    const words = formatArabicCurrencyWords(1250.5, CURRENCIES.EGP.main, CURRENCIES.EGP.sub);
+    expect(amountWordsMatch(words, 1250.05, CURRENCIES.EGP)).toBe(false);
+    expect(parseArabicAmountWords("خمسة وعشرون", CURRENCIES.EGP)).toBeNull();
+    expect(parseArabicAmountWords("", CURRENCIES.EGP)).toBeNull();
+  });
+});
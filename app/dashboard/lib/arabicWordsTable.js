@@ -0,0 +1,212 @@
+// Reference table of expected amount-in-words output.
+// Every line was checked by hand against the grammar rules in ./arabicWords.js;
+// any change to the engine must keep these outputs identical.
+
+import { arabicCountedNoun, formatArabicCurrencyWords } from "./arabicWords";
+import { CURRENCIES } from "./currencies";
+
+const EGP = CURRENCIES.EGP;
+
+// [amount, formatArabicCurrencyWords(amount, EGP.main, EGP.sub)]
+export const EGP_WORDS_TABLE = [
+  [1, "جنيه مصري واحد"],
+  [2, "جنيهان مصريان"],
+  [3, "ثلاثة جنيهات مصرية"],
+  [4, "أربعة جنيهات مصرية"],
+  [5, "خمسة جنيهات مصرية"],
+  [6, "ستة جنيهات مصرية"],
+  [7, "سبعة جنيهات مصرية"],
+  [8, "ثمانية جنيهات مصرية"],
+  [9, "تسعة جنيهات مصرية"],
+  [10, "عشرة جنيهات مصرية"],
+  [11, "أحد عشر جنيهاً مصرياً"],
+  [12, "اثنا عشر جنيهاً مصرياً"],
+  [13, "ثلاثة عشر جنيهاً مصرياً"],
+  [14, "أربعة عشر جنيهاً مصرياً"],
+  [15, "خمسة عشر جنيهاً مصرياً"],
+  [16, "ستة عشر جنيهاً مصرياً"],
+  [17, "سبعة عشر جنيهاً مصرياً"],
+  [18, "ثمانية عشر جنيهاً مصرياً"],
+  [19, "تسعة عشر جنيهاً مصرياً"],
+  [20, "عشرون جنيهاً مصرياً"],
+  [21, "واحد وعشرون جنيهاً مصرياً"],
+  [22, "اثنان وعشرون جنيهاً مصرياً"],
+  [23, "ثلاثة وعشرون جنيهاً مصرياً"],
+  [30, "ثلاثون جنيهاً مصرياً"],
+  [31, "واحد وثلاثون جنيهاً مصرياً"],
+  [32, "اثنان وثلاثون جنيهاً مصرياً"],
+  [40, "أربعون جنيهاً مصرياً"],
+  [45, "خمسة وأربعون جنيهاً مصرياً"],
+  [50, "خمسون جنيهاً مصرياً"],
+  [60, "ستون جنيهاً مصرياً"],
+  [70, "سبعون جنيهاً مصرياً"],
+  [80, "ثمانون جنيهاً مصرياً"],
+  [90, "تسعون جنيهاً مصرياً"],
+  [99, "تسعة وتسعون جنيهاً مصرياً"],
+  [100, "مائة جنيه مصري"],
+  [101, "مائة وواحد جنيه مصري"],
+  [102, "مائة واثنان جنيه مصري"],
+  [103, "مائة وثلاثة جنيهات مصرية"],
+  [110, "مائة وعشرة جنيهات مصرية"],
+  [111, "مائة وأحد عشر جنيهاً مصرياً"],
+  [112, "مائة واثنا عشر جنيهاً مصرياً"],
+  [120, "مائة وعشرون جنيهاً مصرياً"],
+  [150, "مائة وخمسون جنيهاً مصرياً"],
+  [199, "مائة وتسعة وتسعون جنيهاً مصرياً"],
+  [200, "مائتا جنيه مصري"],
+  [201, "مائتان وواحد جنيه مصري"],
+  [203, "مائتان وثلاثة جنيهات مصرية"],
+  [210, "مائتان وعشرة جنيهات مصرية"],
+  [211, "مائتان وأحد عشر جنيهاً مصرياً"],
+  [250, "مائتان وخمسون جنيهاً مصرياً"],
+  [300, "ثلاثمائة جنيه مصري"],
+  [400, "أربعمائة جنيه مصري"],
+  [500, "خمسمائة جنيه مصري"],
+  [600, "ستمائة جنيه مصري"],
+  [700, "سبعمائة جنيه مصري"],
+  [800, "ثمانمائة جنيه مصري"],
+  [900, "تسعمائة جنيه مصري"],
+  [999, "تسعمائة وتسعة وتسعون جنيهاً مصرياً"],
+  [1000, "ألف جنيه مصري"],
+  [1001, "ألف وواحد جنيه مصري"],
+  [1002, "ألف واثنان جنيه مصري"],
+  [1003, "ألف وثلاثة جنيهات مصرية"],
+  [1010, "ألف وعشرة جنيهات مصرية"],
+  [1011, "ألف وأحد عشر جنيهاً مصرياً"],
+  [1099, "ألف وتسعة وتسعون جنيهاً مصرياً"],
+  [1100, "ألف ومائة جنيه مصري"],
+  [1101, "ألف ومائة وواحد جنيه مصري"],
+  [1200, "ألف ومائتا جنيه مصري"],
+  [1999, "ألف وتسعمائة وتسعة وتسعون جنيهاً مصرياً"],
+  [2000, "ألفا جنيه مصري"],
+  [2001, "ألفان وواحد جنيه مصري"],
+  [2002, "ألفان واثنان جنيه مصري"],
+  [2003, "ألفان وثلاثة جنيهات مصرية"],
+  [2100, "ألفان ومائة جنيه مصري"],
+  [2200, "ألفان ومائتا جنيه مصري"],
+  [2500, "ألفان وخمسمائة جنيه مصري"],
+  [3000, "ثلاثة آلاف جنيه مصري"],
+  [4000, "أربعة آلاف جنيه مصري"],
+  [10000, "عشرة آلاف جنيه مصري"],
+  [11000, "أحد عشر ألف جنيه مصري"],
+  [12000, "اثنا عشر ألف جنيه مصري"],
+  [13000, "ثلاثة عشر ألف جنيه مصري"],
+  [15500, "خمسة عشر ألفاً وخمسمائة جنيه مصري"],
+  [20000, "عشرون ألف جنيه مصري"],
+  [21000, "واحد وعشرون ألف جنيه مصري"],
+  [22000, "اثنان وعشرون ألف جنيه مصري"],
+  [23000, "ثلاثة وعشرون ألف جنيه مصري"],
+  [99000, "تسعة وتسعون ألف جنيه مصري"],
+  [100000, "مائة ألف جنيه مصري"],
+  [101000, "مائة وواحد ألف جنيه مصري"],
+  [102000, "مائة واثنان ألف جنيه مصري"],
+  [103000, "مائة وثلاثة آلاف جنيه مصري"],
+  [110000, "مائة وعشرة آلاف جنيه مصري"],
+  [111000, "مائة وأحد عشر ألف جنيه مصري"],
+  [120000, "مائة وعشرون ألف جنيه مصري"],
+  [200000, "مائتا ألف جنيه مصري"],
+  [250000, "مائتان وخمسون ألف جنيه مصري"],
+  [300000, "ثلاثمائة ألف جنيه مصري"],
+  [999000, "تسعمائة وتسعة وتسعون ألف جنيه مصري"],
+  [1000000, "مليون جنيه مصري"],
+  [1000001, "مليون وواحد جنيه مصري"],
+  [1100000, "مليون ومائة ألف جنيه مصري"],
+  [2000000, "مليونا جنيه مصري"],
+  [3000000, "ثلاثة ملايين جنيه مصري"],
+  [10000000, "عشرة ملايين جنيه مصري"],
+  [11000000, "أحد عشر مليون جنيه مصري"],
+  [12000000, "اثنا عشر مليون جنيه مصري"],
+  [20000000, "عشرون مليون جنيه مصري"],
+  [100000000, "مائة مليون جنيه مصري"],
+  [200000000, "مائتا مليون جنيه مصري"],
+  [1000000000, "مليار جنيه مصري"],
+  [2000000000, "مليارا جنيه مصري"],
+  [3000000000, "ثلاثة مليارات جنيه مصري"],
+  [11000000000, "أحد عشر مليار جنيه مصري"],
+  [123456789.25, "مائة وثلاثة وعشرون مليوناً وأربعمائة وستة وخمسون ألفاً وسبعمائة وتسعة وثمانون جنيهاً مصرياً وخمسة وعشرون قرشاً"],
+  [999999999999.99, "تسعمائة وتسعة وتسعون ملياراً وتسعمائة وتسعة وتسعون مليوناً وتسعمائة وتسعة وتسعون ألفاً وتسعمائة وتسعة وتسعون جنيهاً مصرياً وتسعة وتسعون قرشاً"],
+  [0.01, "قرش واحد"],
+  [0.02, "قرشان"],
+  [0.03, "ثلاثة قروش"],
+  [0.1, "عشرة قروش"],
+  [0.11, "أحد عشر قرشاً"],
+  [0.12, "اثنا عشر قرشاً"],
+  [0.21, "واحد وعشرون قرشاً"],
+  [0.5, "خمسون قرشاً"],
+  [0.99, "تسعة وتسعون قرشاً"],
+  [1.01, "جنيه مصري واحد وقرش واحد"],
+  [2.02, "جنيهان مصريان وقرشان"],
+  [3.03, "ثلاثة جنيهات مصرية وثلاثة قروش"],
+  [10.1, "عشرة جنيهات مصرية وعشرة قروش"],
+  [11.11, "أحد عشر جنيهاً مصرياً وأحد عشر قرشاً"],
+  [100.5, "مائة جنيه مصري وخمسون قرشاً"],
+  [1000.01, "ألف جنيه مصري وقرش واحد"],
+  [1250.5, "ألف ومائتان وخمسون جنيهاً مصرياً وخمسون قرشاً"],
+  [2000.02, "ألفا جنيه مصري وقرشان"],
+  [5432.1, "خمسة آلاف وأربعمائة واثنان وثلاثون جنيهاً مصرياً وعشرة قروش"],
+];
+
+// A feminine counted noun, to check gender agreement of the numerals
+export const FEMININE_SAMPLE_NOUN = { singular: "ليرة", dual: "ليرتان", plural: "ليرات", accusative: "ليرة", feminine: true };
+
+// [count, arabicCountedNoun(count, FEMININE_SAMPLE_NOUN)]
+export const FEMININE_WORDS_TABLE = [
+  [1, "ليرة واحدة"],
+  [2, "ليرتان"],
+  [3, "ثلاث ليرات"],
+  [8, "ثماني ليرات"],
+  [10, "عشر ليرات"],
+  [11, "إحدى عشرة ليرة"],
+  [12, "اثنتا عشرة ليرة"],
+  [13, "ثلاث عشرة ليرة"],
+  [18, "ثماني عشرة ليرة"],
+  [21, "إحدى وعشرون ليرة"],
+  [22, "اثنتان وعشرون ليرة"],
+  [23, "ثلاث وعشرون ليرة"],
+  [100, "مائة ليرة"],
+  [111, "مائة وإحدى عشرة ليرة"],
+  [1000, "ألف ليرة"],
+];
+
+// [currency code, amount, expected words] for the other registry currencies;
+// SAR exercises a feminine sub-unit and KWD the three-decimal fils
+export const CURRENCY_WORDS_TABLE = [
+  ["USD", 1, "دولار أمريكي واحد"],
+  ["USD", 2.02, "دولاران أمريكيان وسنتان"],
+  ["USD", 13.15, "ثلاثة عشر دولاراً أمريكياً وخمسة عشر سنتاً"],
+  ["USD", 1200.5, "ألف ومائتا دولار أمريكي وخمسون سنتاً"],
+  ["EUR", 1, "يورو واحد"],
+  ["EUR", 11.11, "أحد عشر يورو وأحد عشر سنتاً"],
+  ["EUR", 300.03, "ثلاثمائة يورو وثلاثة سنتات"],
+  ["SAR", 1.01, "ريال سعودي واحد وهللة واحدة"],
+  ["SAR", 3.03, "ثلاثة ريالات سعودية وثلاث هللات"],
+  ["SAR", 11.11, "أحد عشر ريالاً سعودياً وإحدى عشرة هللة"],
+  ["SAR", 21.21, "واحد وعشرون ريالاً سعودياً وإحدى وعشرون هللة"],
+  ["SAR", 2500.02, "ألفان وخمسمائة ريال سعودي وهللتان"],
+  ["AED", 10.1, "عشرة دراهم إماراتية وعشرة فلوس"],
+  ["AED", 45.75, "خمسة وأربعون درهماً إماراتياً وخمسة وسبعون فلساً"],
+  ["KWD", 1.001, "دينار كويتي واحد وفلس واحد"],
+  ["KWD", 2.5, "ديناران كويتيان وخمسمائة فلس"],
+  ["KWD", 12.345, "اثنا عشر ديناراً كويتياً وثلاثمائة وخمسة وأربعون فلساً"],
+  ["KWD", 1000.999, "ألف دينار كويتي وتسعمائة وتسعة وتسعون فلساً"],
+  ["KWD", 3.003, "ثلاثة دنانير كويتية وثلاثة فلوس"],
+];
+
+// Returns the rows whose output differs from the table (empty when the engine is correct).
+export function findArabicWordsTableMismatches() {
+  const mismatches = [];
+  for (const [amount, expected] of EGP_WORDS_TABLE) {
+    const actual = formatArabicCurrencyWords(amount, EGP.main, EGP.sub);
+    if (actual !== expected) mismatches.push({ amount, expected, actual });
+  }
+  for (const [count, expected] of FEMININE_WORDS_TABLE) {
+    const actual = arabicCountedNoun(count, FEMININE_SAMPLE_NOUN);
+    if (actual !== expected) mismatches.push({ amount: count, expected, actual });
+  }
+  for (const [code, amount, expected] of CURRENCY_WORDS_TABLE) {
+    const { main, sub, decimals } = CURRENCIES[code];
+    const actual = formatArabicCurrencyWords(amount, main, sub, decimals);
+    if (actual !== expected) mismatches.push({ amount, expected, actual });
+  }
+  return mismatches;
+}
@@ -0,0 +1,8 @@
+import { describe, expect, it } from "vitest";
+import { findArabicWordsTableMismatches } from "./arabicWordsTable";
+
+describe("arabicWordsTable", () => {
+  it("engine output matches every row of the reference table", () => {
+    expect(findArabicWordsTableMismatches()).toEqual([]);
+  });
+});
@@ -0,0 +1,143 @@
+// Append-only audit log of cheque operations. Entries are
+// { seq, at, actor, action, details, prevHash, hash } where hash is the SHA-256
+// of the entry's content and prevHash, so editing or removing an entry breaks
+// the chain from that point. The head ({ seq, hash } of the newest entry) is
+// stored apart from the log so entries cut off the end are noticed too.
+
+import { sha256 } from "./sha256";
+import { incrementSerial } from "./chequeNumbers";
+
+export const AUDIT_ACTIONS = [
+  { id: "print", label: "طباعة" },
+  { id: "reprint", label: "إعادة طباعة" },
+  { id: "save", label: "حفظ في السجل" },
+  { id: "void", label: "إلغاء / إتلاف" },
+  { id: "statusChange", label: "تغيير حالة" },
+  { id: "templateAdd", label: "إضافة قالب" },
+  { id: "templateEdit", label: "تعديل قالب" },
+  { id: "templateDelete", label: "حذف قالب" },
+];
+
+export const actionLabel = (id) => AUDIT_ACTIONS.find(a => a.id === id)?.label || id;
+
+const GENESIS_HASH = "0".repeat(64);
+
+const entryHash = (e) => sha256(JSON.stringify([e.seq, e.at, e.actor, e.action, e.details, e.prevHash]));
+
+/**
+ * Log with a new entry chained to its last one. details is stored as its JSON
+ * round trip so the hash is computed over exactly what gets saved.
+ */
+export function appendAuditEntry(log, { action, details = {}, actor = "", at = new Date().toISOString() }) {
+  const last = log[log.length - 1];
+  const entry = {
+    seq: last ? last.seq + 1 : 1,
+    at,
+    actor,
+    action,
+    details: JSON.parse(JSON.stringify(details)),
+    prevHash: last ? last.hash : GENESIS_HASH,
+  };
+  return [...log, { ...entry, hash: entryHash(entry) }];
+}
+
+// Log with the entries appended in order, each chained to the one before
+export const appendAuditEntries = (log, entries) => entries.reduce((chain, entry) => appendAuditEntry(chain, entry), log);
+
+// The stored head moves forward only while the log still holds the entry it points at
+export function advanceAuditHead(head, log) {
+  const last = log[log.length - 1];
+  if (!last || (head && last.seq <= head.seq)) return head;
+  if (head && log.find(e => e.seq === head.seq)?.hash !== head.hash) return head;
+  return { seq: last.seq, hash: last.hash };
+}
+
+/**
+ * Problems in the log: [{ seq, message }] for edited entries, removed entries
+ * (gaps in seq or a broken prevHash link) and entries missing after the stored head.
+ */
+export function verifyAuditLog(log, head) {
+  const issues = [];
+  log.forEach((entry, i) => {
+    const prev = log[i - 1];
+    const expectedSeq = prev ? prev.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      const missing = entry.seq - expectedSeq;
+      issues.push({ seq: entry.seq, message: missing > 0 ? `${missing} قيد محذوف قبل هذا القيد` : "ترتيب القيود غير صحيح" });
+    } else if (entry.prevHash !== (prev ? prev.hash : GENESIS_HASH)) {
+      issues.push({ seq: entry.seq, message: "الربط بالقيد السابق مكسور (قيد سابق محذوف أو مستبدل)" });
+    }
+    if (entry.hash !== entryHash(entry)) issues.push({ seq: entry.seq, message: "محتوى القيد معدّل بعد تسجيله" });
+  });
+  if (head) {
+    const last = log[log.length - 1];
+    if (!last || last.seq < head.seq) {
+      issues.push({ seq: head.seq, message: `القيود الأخيرة محذوفة (آخر قيد مسجل رقم ${head.seq})` });
+    } else if (log.find(e => e.seq === head.seq)?.hash !== head.hash) {
+      issues.push({ seq: head.seq, message: "القيد الأخير المسجل مستبدل" });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Entries of a copy exported earlier (the export's JSON) that the log no longer
+ * holds unchanged, as [{ seq, message }]. The stored head lives in the same
+ * storage as the log, so only a copy kept elsewhere shows a log rewritten with
+ * its hashes recomputed. Throws for files that are not an exported log.
+ */
+export function compareWithExport(log, exported) {
+  if (!Array.isArray(exported?.entries)) throw new Error("الملف ليس سجل تدقيق مصدّراً");
+  const bySeq = new Map(log.map(e => [e.seq, e]));
+  return exported.entries
+    .filter(e => bySeq.get(e.seq)?.hash !== e.hash)
+    .map(e => ({ seq: e.seq, message: bySeq.has(e.seq) ? "القيد يختلف عن النسخة المصدّرة" : "القيد موجود في النسخة المصدّرة ومحذوف من السجل" }));
+}
+
+// Printed cheques whose history record no longer exists
+export const deletedHistoryRecords = (log, history) => {
+  const ids = new Set(history.map(r => r.id));
+  return log.filter(e => ["print", "reprint", "save"].includes(e.action) && e.details.recordId && !ids.has(e.details.recordId));
+};
+
+// Old and new values are kept for short scalars; fields, images and the like only name the key
+const loggable = (v) => (v === null || ["string", "number", "boolean", "undefined"].includes(typeof v)) && String(v).length <= 200;
+
+/**
+ * Audit entries ({ action, details }) for the differences between two template
+ * lists. Chequebook nextSerial moving past a cheque in `history` is the print
+ * itself, already logged, and is left out.
+ */
+export function templateChanges(before, after, history) {
+  const entries = [];
+  const printedNext = (templateId, serial) =>
+    history.some(r => r.templateId === templateId && r.chequeNumber && incrementSerial(r.chequeNumber) === serial);
+
+  for (const t of after) {
+    const old = before.find(b => b.id === t.id);
+    if (!old) {
+      entries.push({ action: "templateAdd", details: { templateId: t.id, name: t.name } });
+      continue;
+    }
+    const changes = [];
+    for (const key of new Set([...Object.keys(old), ...Object.keys(t)])) {
+      if (JSON.stringify(old[key]) === JSON.stringify(t[key])) continue;
+      if (key === "chequebook") {
+        const from = old.chequebook || {};
+        const to = t.chequebook || {};
+        for (const sub of new Set([...Object.keys(from), ...Object.keys(to)])) {
+          if (from[sub] === to[sub]) continue;
+          if (sub === "nextSerial" && printedNext(t.id, to[sub])) continue;
+          changes.push({ key: `chequebook.${sub}`, from: from[sub], to: to[sub] });
+        }
+        continue;
+      }
+      changes.push(loggable(old[key]) && loggable(t[key]) ? { key, from: old[key], to: t[key] } : { key });
+    }
+    if (changes.length) entries.push({ action: "templateEdit", details: { templateId: t.id, name: t.name, changes } });
+  }
+  for (const old of before) {
+    if (!after.some(t => t.id === old.id)) entries.push({ action: "templateDelete", details: { templateId: old.id, name: old.name } });
+  }
+  return entries;
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { advanceAuditHead, appendAuditEntries, appendAuditEntry, compareWithExport, verifyAuditLog } from "./auditLog";
+
+const at = "2026-10-01T10:00:00.000Z";
+const buildLog = (count) => {
+  let log = [];
+  for (let i = 1; i <= count; i++) log = appendAuditEntry(log, { action: "print", details: { chequeNumber: `00${i}` }, actor: "سارة", at });
+  return log;
+};
+
+describe("verifyAuditLog", () => {
+  it("accepts an untouched chain and its head", () => {
+    const log = buildLog(3);
+    const head = advanceAuditHead(null, log);
+    expect(head).toEqual({ seq: 3, hash: log[2].hash });
+    expect(verifyAuditLog(log, head)).toEqual([]);
+  });
+
+  it("reports an edited entry", () => {
+    const log = buildLog(3);
+    log[1] = { ...log[1], details: { chequeNumber: "999" } };
+    expect(verifyAuditLog(log, advanceAuditHead(null, buildLog(3))).map(i => i.seq)).toEqual([2]);
+  });
+
+  it("reports a removed entry", () => {
+    const log = buildLog(3);
+    const issues = verifyAuditLog([log[0], log[2]], { seq: 3, hash: log[2].hash });
+    expect(issues.map(i => i.seq)).toEqual([3]);
+  });
+
+  it("reports entries cut off after the stored head", () => {
+    const log = buildLog(3);
+    const issues = verifyAuditLog(log.slice(0, 2), { seq: 3, hash: log[2].hash });
+    expect(issues.map(i => i.seq)).toEqual([3]);
+  });
+});
+
+describe("appendAuditEntries", () => {
+  it("chains onto entries appended in the same tick instead of replacing them", () => {
+    // Two queued state updates: a print, then the pending template edits
+    const updates = [
+      (prev) => appendAuditEntry(prev, { action: "print", details: { chequeNumber: "004" }, actor: "سارة", at }),
+      (prev) => appendAuditEntries(prev, [{ action: "templateEdit", details: { name: "الأهلي" }, actor: "سارة", at }]),
+    ];
+    const log = updates.reduce((prev, update) => update(prev), buildLog(3));
+    expect(log.map(e => e.action)).toEqual(["print", "print", "print", "print", "templateEdit"]);
+    expect(verifyAuditLog(log, advanceAuditHead(null, log))).toEqual([]);
+  });
+});
+
+describe("compareWithExport", () => {
+  it("finds a log rewritten with recomputed hashes", () => {
+    const exported = { entries: buildLog(2) };
+    let rewritten = appendAuditEntry([], { action: "print", details: { chequeNumber: "001" }, actor: "سارة", at });
+    rewritten = appendAuditEntry(rewritten, { action: "print", details: { chequeNumber: "777" }, actor: "سارة", at });
+    expect(verifyAuditLog(rewritten, advanceAuditHead(null, rewritten))).toEqual([]);
+    expect(compareWithExport(rewritten, exported).map(i => i.seq)).toEqual([2]);
+    expect(compareWithExport(buildLog(3), exported)).toEqual([]);
+  });
+
+  it("rejects files that are not an exported log", () => {
+    expect(() => compareWithExport([], { templates: [] })).toThrow();
+  });
+});
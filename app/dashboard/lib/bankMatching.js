@@ -0,0 +1,49 @@
+// Batch rows → templates. A row's template column wins; otherwise its bank is
+// matched against each template's name, id and bank aliases (bankAliases),
+// e.g. ["NBE", "الأهلي", "البنك الأهلي المصري"].
+
+import { normalizeHeader } from "./columnMapping";
+
+const bankKeys = (template) =>
+  [template.name, template.id, ...(template.bankAliases || [])].map(normalizeHeader).filter(Boolean);
+
+/**
+ * Template for a bank name, or null. Exact (normalized) matches win, then the
+ * longest alias contained in the bank text ("البنك الأهلي المصري - فرع الدقي").
+ */
+export function matchBankTemplate(bank, templates) {
+  const key = normalizeHeader(bank);
+  if (!key) return null;
+  const exact = templates.find(t => bankKeys(t).includes(key));
+  if (exact) return exact;
+
+  let best = null;
+  for (const template of templates) {
+    for (const alias of bankKeys(template)) {
+      if (alias.length >= 3 && key.includes(alias) && (!best || alias.length > best.length)) best = { template, length: alias.length };
+    }
+  }
+  return best?.template || null;
+}
+
+// Template by id or exact name (the template column of a batch row)
+export function findTemplateByKey(key, templates) {
+  const k = String(key ?? "").trim();
+  return (k && templates.find(t => t.id === k || t.name === k)) || null;
+}
+
+/**
+ * Template for a batch row: the template column (id or name), then the bank.
+ * Returns null when neither names a template.
+ */
+export function templateForRow(row, templates) {
+  return findTemplateByKey(row?.template, templates) || (row?.bank ? matchBankTemplate(row.bank, templates) : null);
+}
+
+// True when the row names a bank that no template answers to
+export const isUnmatchedBank = (row, templates) =>
+  !!String(row?.bank ?? "").trim() && !templateForRow(row, templates);
+
+// "NBE، الأهلي, البنك الأهلي المصري" → ["NBE", "الأهلي", "البنك الأهلي المصري"]
+export const parseBankAliases = (text) =>
+  String(text ?? "").split(/[,،\n]/).map(s => s.trim()).filter(Boolean);
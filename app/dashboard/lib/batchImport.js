@@ -0,0 +1,130 @@
+// Batch file readers. Every format is turned into the same array-of-rows sheet
+// (first row usually headers) that the column mapping step converts into batch rows.
+// - XLSX / XLS / ODS: first worksheet via SheetJS
+// - CSV / TXT: UTF-8 or Windows-1256 text, delimiter detected (, ; tab |)
+// - JSON: an array of cheque objects; the object keys become the header row
+
+import * as XLSX from "xlsx";
+
+export const BATCH_FILE_ACCEPT = ".xlsx,.xls,.ods,.csv,.txt,.json";
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Decodes CSV bytes. A BOM wins; otherwise strict UTF-8 is tried first and
+ * anything that is not valid UTF-8 is read as Windows-1256 (Arabic Windows/ERP exports).
+ */
+export function decodeText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder("windows-1256").decode(bytes);
+  }
+}
+
+// Splits one CSV record honouring double quotes; returns [fields, nextIndex]
+function readRecord(text, start, delimiter) {
+  const fields = [];
+  let field = "";
+  let i = start;
+  let quoted = false;
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') { quoted = false; i++; continue; }
+      field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === "") { quoted = true; i++; continue; }
+    if (ch === delimiter) { fields.push(field); field = ""; i++; continue; }
+    if (ch === "\r" || ch === "\n") {
+      i += ch === "\r" && text[i + 1] === "\n" ? 2 : 1;
+      fields.push(field);
+      return [fields, i];
+    }
+    field += ch;
+    i++;
+  }
+  fields.push(field);
+  return [fields, i];
+}
+
+export function parseCSV(text, delimiter) {
+  const rows = [];
+  let i = 0;
+  while (i < text.length) {
+    const [fields, next] = readRecord(text, i, delimiter);
+    rows.push(fields);
+    i = next;
+  }
+  return rows.filter(row => row.some(cell => cell.trim() !== ""));
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the same, largest
+ * number of columns.
+ */
+export function detectDelimiter(text) {
+  const sample = text.slice(0, 5000);
+  let best = { delimiter: ",", score: -1 };
+  for (const delimiter of DELIMITERS) {
+    const rows = parseCSV(sample, delimiter).slice(0, 10);
+    if (!rows.length) continue;
+    const widths = rows.map(r => r.length);
+    const cols = widths[0];
+    if (cols < 2) continue;
+    const consistent = widths.filter(w => w === cols).length / widths.length;
+    const score = consistent * 100 + cols;
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// JSON cheques → sheet rows; accepts an array or an object holding one array (e.g. { cheques: [...] })
+export function jsonToRows(data) {
+  const list = Array.isArray(data) ? data : Object.values(data || {}).find(Array.isArray);
+  if (!Array.isArray(list)) throw new Error("ملف JSON يجب أن يحتوي على مصفوفة شيكات");
+  const objects = list.filter(item => item && typeof item === "object" && !Array.isArray(item));
+  if (!objects.length) throw new Error("ملف JSON لا يحتوي على شيكات");
+  const keys = [...new Set(objects.flatMap(Object.keys))];
+  return [keys, ...objects.map(obj => keys.map(k => (obj[k] === null || typeof obj[k] === "object" ? undefined : obj[k])))];
+}
+
+const extensionOf = (name) => (String(name).toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || "";
+
+/**
+ * Reads a batch file into { rows, format } where rows is an array of arrays.
+ * Throws an Error with an Arabic message when the file cannot be read.
+ */
+export async function readBatchFile(file) {
+  const ext = extensionOf(file.name);
+  const buffer = await file.arrayBuffer();
+
+  if (ext === "json") {
+    let data;
+    try {
+      data = JSON.parse(decodeText(buffer));
+    } catch {
+      throw new Error("ملف JSON غير صالح");
+    }
+    return { rows: jsonToRows(data), format: "JSON" };
+  }
+
+  if (ext === "csv" || ext === "txt") {
+    const text = decodeText(buffer);
+    const delimiter = detectDelimiter(text);
+    return { rows: parseCSV(text, delimiter), format: `CSV (${delimiter === "\t" ? "Tab" : delimiter})` };
+  }
+
+  // XLSX, XLS and ODS are told apart by SheetJS from the file contents
+  const workbook = XLSX.read(buffer);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new Error("الملف لا يحتوي على أوراق عمل");
+  return { rows: XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false }), format: ext.toUpperCase() || "XLSX" };
+}
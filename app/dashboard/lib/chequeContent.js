@@ -0,0 +1,68 @@
+// What gets printed on a cheque: the amount in digits and words, split to the
+// template's boxes, and the text of every field. Shared by the live preview and
+// batch printing so a batch page is exactly what the preview would show.
+
+import { formatArabicCurrencyWords } from "./arabicWords";
+import { amountWordsMatch } from "./arabicWordsParser";
+import { formatEnglishCurrencyWords } from "./englishWords";
+import { getCurrency } from "./currencies";
+import { parseAmount } from "./amount";
+import { toArabicDigits } from "./digits";
+import { firstValidationError, validateChequeForm } from "./validation";
+import { formatChequeDate, isDateBind } from "./dateFormat";
+import { fieldWidthMM, splitAmountWords } from "./textFit";
+
+/**
+ * Amount texts for `form` on `template`.
+ * Returns { currency, parsedAmount, amountNum, amountWords, amountWordsEn, amountWordsLines }.
+ */
+export function buildChequeContent(form, template, { useArabicNumerals, fontFamily } = {}) {
+  // Per-cheque currency overrides the template's
+  const currency = getCurrency(form.currency || template.currency);
+  const parsedAmount = parseAmount(form.amount, currency);
+  const valid = parsedAmount.value !== null;
+
+  const amount = parsedAmount.text || "";
+  const amountNum = amount && useArabicNumerals ? toArabicDigits(amount) : amount;
+  const amountWords = valid ? formatArabicCurrencyWords(parsedAmount.value, currency.main, currency.sub, currency.decimals) : "";
+  const amountWordsEn = valid ? formatEnglishCurrencyWords(parsedAmount.value, currency) : "";
+
+  // Split the written amount across the amountWords / amountWords2 boxes by printed width
+  const box = (bind) => {
+    const f = template.fields.find(fld => fld.bind === bind && !fld.hidden);
+    return f ? { widthMM: fieldWidthMM(f, template), fontSize: f.fontSize || 14 } : null;
+  };
+  const amountWordsLines = splitAmountWords(amountWords, box("amountWords"), box("amountWords2"), { fontFamily });
+
+  return { currency, parsedAmount, amountNum, amountWords, amountWordsEn, amountWordsLines };
+}
+
+// Printed text of one field, including the "#…#" and "… only" wrappers
+export function fieldText(field, content, form, template, useArabicNumerals) {
+  switch (field.bind) {
+    case "amountNum": return content.amountNum ? `#${content.amountNum}#` : "##";
+    // amountWords lines already carry the "فقط … لا غير" wrapper
+    case "amountWords": return content.amountWordsLines.line1;
+    case "amountWords2": return content.amountWordsLines.line2;
+    case "amountWordsEn": return content.amountWordsEn ? `${content.amountWordsEn} only` : "";
+    case "payee": return form.payee;
+    case "memo": return form.memo;
+    case "signature": return form.signature;
+    case "chequeNumber": return form.chequeNumber || "";
+    default: return isDateBind(field.bind) ? formatChequeDate(form.date, field, template, useArabicNumerals) : "";
+  }
+}
+
+/**
+ * Reason the cheque must not print, or null: form validation first, then the
+ * printed words are read back and must say the same amount as the digits.
+ */
+export function printBlocker(form, content) {
+  const error = firstValidationError(validateChequeForm(form, content.currency));
+  if (error) return error;
+  const printedWords = `${content.amountWordsLines.line1} ${content.amountWordsLines.line2}`;
+  if (!amountWordsMatch(printedWords, content.parsedAmount.value, content.currency)) {
+    return "المبلغ كتابة لا يطابق المبلغ بالأرقام - تم إيقاف الطباعة";
+  }
+  return null;
+}
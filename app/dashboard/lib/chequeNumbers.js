@@ -0,0 +1,89 @@
+// Cheque numbers. Each template carries its current chequebook as
+// template.chequebook = { account, startSerial, endSerial, nextSerial, ... } (see
+// chequebooks.js); serials are digit strings so leading zeros ("000101") survive.
+// Every print takes nextSerial.
+
+const SERIAL_RE = /^\d{1,15}$/;
+
+export const isValidSerial = (serial) => SERIAL_RE.test(String(serial ?? ""));
+
+// "000109" → "000110", keeping the width
+export const incrementSerial = (serial, by = 1) => String(Number(serial) + by).padStart(String(serial).length, "0");
+
+// Number the next print would take from the template's book, or "" when it has none
+export const nextChequeNumber = (template) =>
+  isValidSerial(template?.chequebook?.nextSerial) ? template.chequebook.nextSerial : "";
+
+/**
+ * Takes `count` consecutive numbers from the template's book.
+ * Returns { numbers, nextSerial }: numbers are "" when the template has no book
+ * and null past the book's last leaf (endSerial).
+ */
+export function takeChequeNumbers(template, count) {
+  const first = nextChequeNumber(template);
+  if (!first) return { numbers: Array(count).fill(""), nextSerial: "" };
+  const end = template.chequebook.endSerial;
+  const last = isValidSerial(end) ? Number(end) : Infinity;
+  const numbers = Array.from({ length: count }, (_, i) => (Number(first) + i <= last ? incrementSerial(first, i) : null));
+  return { numbers, nextSerial: incrementSerial(first, numbers.filter(n => n !== null).length) };
+}
+
+// Records are sequenced per bank account, or per template when no account is set
+export const sequenceKey = (record) => record.account || record.templateId || "";
+
+// Each template's books (current and used) as serial ranges keyed like
+// sequenceKey; a book without a last serial is open-ended
+function bookRanges(templates) {
+  const ranges = new Map();
+  for (const template of templates) {
+    for (const book of [template.chequebook, ...(template.usedChequebooks || [])]) {
+      if (!isValidSerial(book?.startSerial)) continue;
+      const range = {
+        key: book.account || template.id,
+        start: Number(book.startSerial),
+        end: isValidSerial(book.endSerial) ? Number(book.endSerial) : Infinity,
+      };
+      ranges.set(`${range.key}|${range.start}|${range.end}`, range);
+    }
+  }
+  return [...ranges.values()];
+}
+
+/**
+ * Duplicate numbers and gaps in the printed sequence of each account.
+ * Gaps are only looked for inside one book's start–end range of `templates`,
+ * so the jump from one book to the next, and numbers outside every known book,
+ * are not reported.
+ * Returns { duplicates: [{ key, number, count }], gaps: [{ key, from, to, missing }] }.
+ */
+export function findSequenceIssues(history, templates = []) {
+  const groups = new Map();
+  for (const record of history) {
+    if (!isValidSerial(record.chequeNumber)) continue;
+    const key = sequenceKey(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record.chequeNumber);
+  }
+
+  const books = bookRanges(templates);
+  const duplicates = [];
+  const gaps = [];
+  for (const [key, serials] of groups) {
+    const counts = new Map();
+    for (const s of serials) counts.set(Number(s), { serial: s, count: (counts.get(Number(s))?.count || 0) + 1 });
+    for (const { serial, count } of counts.values()) {
+      if (count > 1) duplicates.push({ key, number: serial, count });
+    }
+    for (const book of books.filter(b => b.key === key)) {
+      const sorted = [...counts.entries()].filter(([n]) => n >= book.start && n <= book.end).sort((a, b) => a[0] - b[0]);
+      for (let i = 1; i < sorted.length; i++) {
+        const [prev, { serial: prevSerial }] = sorted[i - 1];
+        const [cur] = sorted[i];
+        if (cur - prev > 1) {
+          gaps.push({ key, from: incrementSerial(prevSerial), to: incrementSerial(prevSerial, cur - prev - 1), missing: cur - prev - 1 });
+        }
+      }
+    }
+  }
+  return { duplicates, gaps };
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { findSequenceIssues, incrementSerial, takeChequeNumbers } from "./chequeNumbers";
+
+const book = (startSerial, endSerial, account = "ACC-1") => ({ account, startSerial, endSerial, nextSerial: startSerial });
+const record = (chequeNumber, { account = "ACC-1", templateId = "nbe" } = {}) => ({ chequeNumber, account, templateId });
+
+const templates = [{
+  id: "nbe",
+  chequebook: book("000201", "000225"),
+  usedChequebooks: [book("000101", "000125")],
+}];
+
+describe("findSequenceIssues", () => {
+  it("reports gaps inside a book", () => {
+    const history = ["000101", "000102", "000105", "000106"].map(n => record(n));
+    expect(findSequenceIssues(history, templates).gaps).toEqual([{ key: "ACC-1", from: "000103", to: "000104", missing: 2 }]);
+  });
+
+  it("does not report the jump from one book to the next", () => {
+    const history = ["000124", "000125", "000201", "000202"].map(n => record(n));
+    expect(findSequenceIssues(history, templates).gaps).toEqual([]);
+  });
+
+  it("does not report gaps between numbers outside every known book", () => {
+    const history = ["000301", "000310", "000101", "000103"].map(n => record(n));
+    expect(findSequenceIssues(history, templates).gaps).toEqual([{ key: "ACC-1", from: "000102", to: "000102", missing: 1 }]);
+  });
+
+  it("keys books without an account by their template", () => {
+    const noAccount = [{ id: "cib", chequebook: book("1", "", "") }];
+    const history = [record("1", { account: "", templateId: "cib" }), record("4", { account: "", templateId: "cib" })];
+    expect(findSequenceIssues(history, noAccount).gaps).toEqual([{ key: "cib", from: "2", to: "3", missing: 2 }]);
+  });
+
+  it("reports duplicate numbers per account whether or not they are in a book", () => {
+    const history = [record("000101"), record("000101"), record("000900"), record("000900"), record("000900", { account: "ACC-2" })];
+    expect(findSequenceIssues(history, templates).duplicates).toEqual([
+      { key: "ACC-1", number: "000101", count: 2 },
+      { key: "ACC-1", number: "000900", count: 2 },
+    ]);
+  });
+});
+
+describe("takeChequeNumbers", () => {
+  it("keeps the serial width and stops at the book's last leaf", () => {
+    const template = { chequebook: { ...book("000098", "000100"), nextSerial: "000099" } };
+    expect(takeChequeNumbers(template, 3)).toEqual({ numbers: ["000099", "000100", null], nextSerial: "000101" });
+    expect(incrementSerial("0999")).toBe("1000");
+  });
+
+  it("returns blank numbers when the template has no book", () => {
+    expect(takeChequeNumbers({}, 2)).toEqual({ numbers: ["", ""], nextSerial: "" });
+  });
+});
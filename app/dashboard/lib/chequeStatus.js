@@ -0,0 +1,54 @@
+// Cheque lifecycle on history records: record.status is the current state and
+// record.statusHistory the [{ status, at, note }] trail, oldest first.
+// Records saved before statuses existed count as printed.
+
+import { getCurrency } from "./currencies";
+
+export const CHEQUE_STATUSES = [
+  { id: "printed", label: "مطبوع", color: "bg-slate-100 text-slate-700" },
+  { id: "spoiled", label: "تالف", color: "bg-orange-100 text-orange-800" },
+  { id: "issued", label: "سُلّم للمستفيد", color: "bg-blue-100 text-blue-800" },
+  { id: "presented", label: "قُدّم للبنك", color: "bg-indigo-100 text-indigo-800" },
+  { id: "cleared", label: "صُرف", color: "bg-green-100 text-green-800" },
+  { id: "bounced", label: "مرتجع", color: "bg-red-100 text-red-800" },
+  { id: "cancelled", label: "ملغي", color: "bg-gray-200 text-gray-700" },
+];
+
+// Written but not yet paid out: still a liability on the account
+export const OUTSTANDING_STATUSES = ["printed", "issued", "presented"];
+
+export const chequeStatus = (record) => record.status || "printed";
+
+export const statusInfo = (id) => CHEQUE_STATUSES.find(s => s.id === id) || CHEQUE_STATUSES[0];
+
+// Status trail, with the implied "printed" entry for records saved before statuses existed
+export const statusHistory = (record) =>
+  record.statusHistory?.length ? record.statusHistory : [{ status: "printed", at: record.at, note: "" }];
+
+// Record moved to `status`; setting the current status again only adds the note
+export function withStatus(record, status, note = "", at = new Date().toISOString()) {
+  return {
+    ...record,
+    status,
+    statusHistory: [...statusHistory(record), { status, at, note: note.trim() }],
+  };
+}
+
+export const isOutstanding = (record) => OUTSTANDING_STATUSES.includes(chequeStatus(record));
+
+/**
+ * Amount totals per currency code, summed in the smallest unit so that
+ * 0.1 + 0.2 style errors never reach a report: { EGP: 1250.5, USD: 100 }.
+ */
+export function totalsByCurrency(records) {
+  const units = {};
+  for (const record of records) {
+    const currency = getCurrency(record.form?.currency);
+    // Spoiled leaves carry no amount
+    if (!record.form?.amount) continue;
+    const amount = Number(record.form.amount);
+    if (!Number.isFinite(amount)) continue;
+    units[currency.code] = (units[currency.code] || 0) + Math.round(amount * 10 ** currency.decimals);
+  }
+  return Object.fromEntries(Object.entries(units).map(([code, u]) => [code, u / 10 ** getCurrency(code).decimals]));
+}
@@ -0,0 +1,44 @@
+// Chequebook inventory per template. template.chequebook is the book in use:
+// { account, startSerial, endSerial, nextSerial, issuedOn, lowLeaves }, and
+// template.usedChequebooks the register of finished books, newest first, each
+// with closedAt and the leaves it still had when it was closed.
+// An empty book stays current (and blocks printing) until a new one is started.
+
+import { isValidSerial } from "./chequeNumbers";
+
+export const EMPTY_CHEQUEBOOK = { account: "", startSerial: "", endSerial: "", nextSerial: "", issuedOn: "", lowLeaves: 5 };
+
+// Leaves in the book, or null when its range is incomplete
+export function bookLeaves(book) {
+  if (!isValidSerial(book?.startSerial) || !isValidSerial(book?.endSerial)) return null;
+  return Math.max(0, Number(book.endSerial) - Number(book.startSerial) + 1);
+}
+
+// Leaves not yet printed or spoiled, or null when the book has no last serial
+export function remainingLeaves(book) {
+  if (!isValidSerial(book?.endSerial) || !isValidSerial(book?.nextSerial)) return null;
+  return Math.max(0, Number(book.endSerial) - Number(book.nextSerial) + 1);
+}
+
+export const isLowBook = (book) => {
+  const remaining = remainingLeaves(book);
+  return remaining !== null && remaining <= (Number(book.lowLeaves) || 0);
+};
+
+const hasBook = (book) => isValidSerial(book?.startSerial);
+
+export const isEmptyBook = (book) => remainingLeaves(book) === 0;
+
+/**
+ * Closes the current book (used up or not) into the register so a new one can
+ * be entered; the account and low-leaves threshold carry over.
+ */
+export function startNewChequebook(template, at = new Date().toISOString()) {
+  const book = template.chequebook;
+  if (!hasBook(book)) return template;
+  return {
+    ...template,
+    chequebook: { ...EMPTY_CHEQUEBOOK, account: book.account || "", lowLeaves: book.lowLeaves ?? EMPTY_CHEQUEBOOK.lowLeaves },
+    usedChequebooks: [{ ...book, closedAt: at, leftLeaves: remainingLeaves(book) }, ...(template.usedChequebooks || [])],
+  };
+}
@@ -0,0 +1,148 @@
+// Cell values of imported batch rows → the values the cheque form expects.
+// Dates: date cells, Excel serials, ISO, day-first text and month names (Arabic or
+// English), in Western or Arabic-Indic digits. Amounts: numbers and formatted text.
+
+import dayjs from "dayjs";
+import { normalizeDigits } from "./digits";
+import { normalizeHeader } from "./columnMapping";
+
+// Excel stores dates as days since 1899-12-30 (serial 25569 = 1970-01-01)
+export function excelDateToJSDate(serial) {
+  const utc_days = Math.floor(serial - 25569);
+  const utc_value = utc_days * 86400; 
+  const date_info = new Date(utc_value * 1000);
+  return new Date(
+    date_info.getUTCFullYear(),
+    date_info.getUTCMonth(),
+    date_info.getUTCDate()
+  );
+}
+
+// Serials for 1950-01-01 … 2099-12-31, the range a cheque date can fall in; a year
+// typed into a number cell (2026 → 1905-07-18) falls outside it
+const MIN_SERIAL = 18264;
+const MAX_SERIAL = 73415;
+
+const isSerial = (n) => Number.isFinite(n) && n >= MIN_SERIAL && n <= MAX_SERIAL;
+
+// Month names as written in Egyptian, Levantine/Iraqi and English exports
+const MONTH_NAMES = [
+  ["يناير", "كانون الثاني", "january", "jan"],
+  ["فبراير", "شباط", "february", "feb"],
+  ["مارس", "آذار", "march", "mar"],
+  ["أبريل", "إبريل", "نيسان", "april", "apr"],
+  ["مايو", "أيار", "may"],
+  ["يونيو", "يونية", "حزيران", "june", "jun"],
+  ["يوليو", "يولية", "تموز", "july", "jul"],
+  ["أغسطس", "آب", "august", "aug"],
+  ["سبتمبر", "أيلول", "september", "sep", "sept"],
+  ["أكتوبر", "تشرين الأول", "october", "oct"],
+  ["نوفمبر", "تشرين الثاني", "november", "nov"],
+  ["ديسمبر", "كانون الأول", "december", "dec"],
+];
+
+// Normalized month name → month number, longest names first so "تشرين الثاني" beats "تشرين"
+const MONTH_LOOKUP = MONTH_NAMES
+  .flatMap((names, i) => names.map(name => ({ key: normalizeHeader(name), month: i + 1 })))
+  .sort((a, b) => b.key.length - a.key.length);
+
+// Calendar date → ISO, or null when the day does not exist (31/04, 29/02/2025)
+function isoFromParts(year, month, day) {
+  if (year < 100) year += 2000;
+  if (year < 1900 || year > 9999 || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const iso = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  return dayjs(iso).format("YYYY-MM-DD") === iso ? iso : null;
+}
+
+// "15 مارس 2026", "مارس 15، 2026", "15-Mar-26"
+function parseMonthNameDate(text) {
+  const numbers = text.match(/\d+/g) || [];
+  const words = normalizeHeader(text.replace(/\d+/g, " ").replace(/[,،]/g, " ").replace(/(^|\s)م(?=\s|$)/g, " "));
+  const entry = MONTH_LOOKUP.find(m => m.key === words);
+  if (!entry || numbers.length !== 2) return null;
+  const [a, b] = numbers;
+  // The year is the four-digit number, or the second one when both are short
+  const [day, year] = a.length === 4 ? [b, a] : [a, b];
+  return isoFromParts(Number(year), entry.month, Number(day));
+}
+
+/**
+ * Imported date cell → ISO "YYYY-MM-DD", or null when it cannot be read.
+ * Only number cells are read as Excel serials; digits-only text (a bare year
+ * such as "2026") is not a date. Numeric text is read day-first (15/03/2026)
+ * unless it starts with the year (2026/03/15) or only a month-first reading is
+ * possible (03/15/2026).
+ */
+export function coerceDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : dayjs(value).format("YYYY-MM-DD");
+  if (typeof value === "number") return isSerial(value) ? dayjs(excelDateToJSDate(value)).format("YYYY-MM-DD") : null;
+
+  const text = normalizeDigits(value).replace(/[\u200e\u200f]/g, "").trim();
+  if (!text) return null;
+
+  // ISO, optionally with a time part ("2026-03-15T00:00:00")
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ][\d:.]+Z?)?$/.exec(text);
+  if (iso) return isoFromParts(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  if (/^\d+(\.\d+)?$/.test(text)) return null;
+
+  const numeric = /^(\d{1,4})[/.\-](\d{1,2})[/.\-](\d{1,4})$/.exec(text);
+  if (numeric) {
+    const [a, b, c] = numeric.slice(1).map(Number);
+    if (numeric[1].length === 4) return isoFromParts(a, b, c);
+    if (numeric[3].length !== 4 && numeric[3].length !== 2) return null;
+    if (b > 12 && a <= 12) return isoFromParts(c, a, b);
+    return isoFromParts(c, b, a);
+  }
+
+  return parseMonthNameDate(text);
+}
+
+// Spaces and apostrophes used as thousands separators (1 250 000, 1'250'000)
+const SPACE_GROUP = /(\d)[\s\u00a0\u202f'](?=\d{3}(?!\d))/g;
+
+/**
+ * Imported amount cell → amount text for parseAmount ("1250.50").
+ * Numbers are rounded to the currency's decimals when they are only off by
+ * floating-point noise; text loses currency names/symbols and its thousands
+ * separators, and a decimal comma (1.250,50 or 1250,5) becomes a point.
+ * Text that cannot be read is returned as-is so parseAmount reports it.
+ */
+export function coerceAmount(value, currency) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return String(value);
+    const factor = 10 ** currency.decimals;
+    const scaled = value * factor;
+    return Math.abs(scaled - Math.round(scaled)) < 1e-6 ? (Math.round(scaled) / factor).toFixed(currency.decimals) : String(value);
+  }
+
+  const raw = String(value ?? "");
+  let text = normalizeDigits(raw).replace(/٬/g, ",")
+    // currency codes, names and symbols (EGP, ج.م, $) around the number
+    .replace(/[^\d.,\s\u00a0\u202f'()\-−–]/g, "")
+    .replace(/^[^\d(\-−–]+|[^\d)]+$/g, "");
+  // Accounting negatives: (1,250.00)
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/[()]/g, "").replace(SPACE_GROUP, "$1,");
+  if (!text || /[\s\u00a0\u202f']/.test(text)) return raw;
+
+  const sign = negative || /^[-−–]/.test(text) ? "-" : "";
+  text = text.replace(/^[-−–]/, "");
+
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+  let decimal = null;
+  if (lastDot !== -1 && lastComma !== -1) decimal = lastDot > lastComma ? "." : ",";
+  else if (lastDot !== -1) decimal = text.indexOf(".") === lastDot ? "." : null;
+  // A single comma followed by other than three digits is a decimal comma
+  else if (lastComma !== -1) decimal = text.indexOf(",") === lastComma && text.length - lastComma - 1 !== 3 ? "," : null;
+
+  const [integerPart, fractionPart] = decimal ? [text.slice(0, text.lastIndexOf(decimal)), text.slice(text.lastIndexOf(decimal) + 1)] : [text, ""];
+  // Without a decimal part, repeated dots are grouping (1.250.000)
+  const group = decimal ? (decimal === "," ? "." : ",") : (lastDot !== -1 ? "." : ",");
+  if (!/^\d+$/.test(integerPart.replaceAll(group, "")) || !/^\d*$/.test(fractionPart)) return raw;
+  if (integerPart.includes(group) && !new RegExp(`^\\d{1,3}(?:\\${group}\\d{3})+$`).test(integerPart)) return raw;
+
+  const integer = integerPart.replaceAll(group, "");
+  return `${sign}${integer}${fractionPart ? `.${fractionPart}` : ""}`;
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { coerceAmount, coerceDate } from "./coerce";
+import { CURRENCIES } from "./currencies";
+
+const { EGP, KWD } = CURRENCIES;
+
+describe("coerceAmount", () => {
+  it("rounds floating-point noise in numeric cells to the currency's decimals", () => {
+    expect(coerceAmount(0.1 + 0.2, EGP)).toBe("0.30");
+    expect(coerceAmount(1250, EGP)).toBe("1250.00");
+    expect(coerceAmount(12.3456, KWD)).toBe("12.3456");
+  });
+
+  it("strips currency names, symbols and thousands separators from text", () => {
+    expect(coerceAmount("EGP 1,250.50", EGP)).toBe("1250.50");
+    expect(coerceAmount("1٬250 ج.م", EGP)).toBe("1250");
+    expect(coerceAmount("$1,000", EGP)).toBe("1000");
+  });
+
+  it("reads decimal commas and dotted grouping", () => {
+    expect(coerceAmount("1.250,50", EGP)).toBe("1250.50");
+    expect(coerceAmount("1250,5", EGP)).toBe("1250.5");
+    expect(coerceAmount("1.250.000", EGP)).toBe("1250000");
+  });
+
+  it("keeps the sign of negative and accounting amounts", () => {
+    expect(coerceAmount("(1,250.00)", EGP)).toBe("-1250.00");
+    expect(coerceAmount("-75", EGP)).toBe("-75");
+  });
+
+  it("returns unreadable text unchanged for parseAmount to report", () => {
+    expect(coerceAmount("12 34 5", EGP)).toBe("12 34 5");
+    expect(coerceAmount("1,25,000", EGP)).toBe("1,25,000");
+  });
+});
+
+describe("coerceDate", () => {
+  it("reads Excel serials from number cells only", () => {
+    expect(coerceDate(46096)).toBe("2026-03-15");
+    expect(coerceDate("46096")).toBe(null);
+  });
+
+  it("does not read a bare year as a serial", () => {
+    expect(coerceDate(2026)).toBe(null);
+    expect(coerceDate("2026")).toBe(null);
+    expect(coerceDate("٢٠٢٦")).toBe(null);
+  });
+
+  it("reads ISO, day-first and month-name text", () => {
+    expect(coerceDate("2026-03-15")).toBe("2026-03-15");
+    expect(coerceDate("15/03/2026")).toBe("2026-03-15");
+    expect(coerceDate("03/15/2026")).toBe("2026-03-15");
+    expect(coerceDate("15 مارس 2026")).toBe("2026-03-15");
+  });
+});
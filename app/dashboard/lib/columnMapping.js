@@ -0,0 +1,136 @@
+// Column mapping for batch imports: header detection, header-name suggestions
+// (Arabic and English) and conversion of sheet rows into the batch row model
+// { name, amount, date, memo, bank, template } navigated by handlePrev/handleNext.
+
+export const IMPORT_FIELDS = [
+  { id: "name", label: "المستفيد", required: true, aliases: ["المستفيد", "اسم المستفيد", "الاسم", "اسم المورد", "المورد", "يصرف لأمر", "لأمر", "payee", "name", "beneficiary", "supplier", "vendor"] },
+  { id: "amount", label: "المبلغ", required: true, aliases: ["المبلغ", "القيمة", "مبلغ الشيك", "الصافي", "amount", "value", "total", "net amount"] },
+  { id: "date", label: "التاريخ", aliases: ["التاريخ", "تاريخ الشيك", "تاريخ الاستحقاق", "date", "cheque date", "due date"] },
+  { id: "memo", label: "ملاحظات", aliases: ["ملاحظات", "البيان", "الغرض", "الوصف", "memo", "description", "notes", "narration"] },
+  { id: "bank", label: "البنك", aliases: ["البنك", "اسم البنك", "bank", "bank name"] },
+  { id: "template", label: "القالب", aliases: ["القالب", "نموذج الشيك", "template"] },
+];
+
+// Loose comparison key for header names: case, diacritics, hamza forms, spacing
+export function normalizeHeader(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, "") // harakat and tatweel
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .replace(/^ال(?=\S{3,})/, "")
+    .replace(/[\s_\-./:()]+/g, "");
+}
+
+const isBlankRow = (row) => !row || row.every(cell => cell === undefined || cell === null || String(cell).trim() === "");
+
+function aliasMatch(cell, field) {
+  const key = normalizeHeader(cell);
+  return !!key && field.aliases.some(alias => normalizeHeader(alias) === key);
+}
+
+/**
+ * Index of the header row in a sheet (array of arrays), or -1 when the data
+ * starts on the first row. A header row is the first non-empty row in the top
+ * ten that names at least one known field, or an all-text first row.
+ */
+export function detectHeaderRow(rows) {
+  const top = rows.slice(0, 10);
+  for (let i = 0; i < top.length; i++) {
+    if (isBlankRow(top[i])) continue;
+    if (top[i].some(cell => IMPORT_FIELDS.some(f => aliasMatch(cell, f)))) return i;
+  }
+  const first = rows.findIndex(row => !isBlankRow(row));
+  if (first === -1) return -1;
+  const allText = rows[first].every(cell => cell === undefined || cell === null || (typeof cell === "string" && isNaN(Number(cell))));
+  return allText ? first : -1;
+}
+
+// Column count across the sheet
+export const columnCount = (rows) => rows.reduce((max, row) => Math.max(max, row?.length || 0), 0);
+
+// Spreadsheet-style column letter for index 0 → "A"
+export function columnLetter(index) {
+  let s = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/**
+ * Suggested { fieldId: columnIndex } from header names. Exact alias matches win,
+ * then headers that contain an alias; each column is used at most once.
+ */
+export function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  for (const field of IMPORT_FIELDS) {
+    const idx = headers.findIndex((h, i) => !used.has(i) && aliasMatch(h, field));
+    if (idx !== -1) {
+      mapping[field.id] = idx;
+      used.add(idx);
+    }
+  }
+  // Partial matches: the longest alias found in the header decides ("bank name" → bank, not name)
+  headers.forEach((h, i) => {
+    const key = normalizeHeader(h);
+    if (!key || used.has(i)) return;
+    let best = null;
+    for (const field of IMPORT_FIELDS) {
+      if (mapping[field.id] !== undefined) continue;
+      for (const alias of field.aliases) {
+        const a = normalizeHeader(alias);
+        if (key.includes(a) && (!best || a.length > best.length)) best = { field, length: a.length };
+      }
+    }
+    if (best) {
+      mapping[best.field.id] = i;
+      used.add(i);
+    }
+  });
+  return mapping;
+}
+
+// Fields that must be mapped before importing
+export const missingRequiredFields = (mapping) =>
+  IMPORT_FIELDS.filter(f => f.required && (mapping[f.id] === undefined || mapping[f.id] === null));
+
+/**
+ * Sheet rows → batch rows. Blank rows are skipped; `headerRow` (-1 for none)
+ * and everything above it is ignored.
+ */
+export function applyMapping(rows, headerRow, mapping) {
+  return rows.slice(headerRow + 1)
+    .filter(row => !isBlankRow(row))
+    .map(row => Object.fromEntries(IMPORT_FIELDS.map(f => {
+      const idx = mapping[f.id];
+      const cell = idx === undefined || idx === null ? undefined : row[idx];
+      return [f.id, typeof cell === "string" ? cell.trim() : cell];
+    })));
+}
+
+/**
+ * Saved mappings store header names so they survive reordered columns.
+ * Files without a header row fall back to the stored column positions.
+ */
+export function toSavedMapping(name, headers, hasHeader, mapping) {
+  const columns = {};
+  for (const [fieldId, idx] of Object.entries(mapping)) {
+    if (idx === undefined || idx === null) continue;
+    columns[fieldId] = { header: hasHeader ? String(headers[idx] ?? "") : null, index: idx };
+  }
+  return { name, hasHeader, columns };
+}
+
+export function resolveSavedMapping(saved, headers, hasHeader) {
+  const mapping = {};
+  for (const [fieldId, col] of Object.entries(saved.columns || {})) {
+    if (hasHeader && col.header) {
+      const idx = headers.findIndex(h => normalizeHeader(h) === normalizeHeader(col.header));
+      if (idx !== -1) mapping[fieldId] = idx;
+    } else if (col.index !== undefined) {
+      mapping[fieldId] = col.index;
+    }
+  }
+  return mapping;
+}
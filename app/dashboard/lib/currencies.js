@@ -0,0 +1,64 @@
+// Currency registry for cheque amounts.
+// Each unit carries the noun forms needed by the words engine (see ./arabicWords.js):
+// singular, dual, plural, accusative (tamyeez of 11..99) and grammatical gender.
+// `decimals` is the number of sub-unit digits (100 piastres → 2, 1000 fils → 3).
+// `en` holds the English unit names used on bilingual cheques.
+
+export const DEFAULT_CURRENCY = "EGP";
+
+export const CURRENCIES = {
+  EGP: {
+    code: "EGP",
+    label: "جنيه مصري",
+    decimals: 2,
+    main: { singular: "جنيه مصري", dual: "جنيهان مصريان", plural: "جنيهات مصرية", accusative: "جنيهاً مصرياً", feminine: false },
+    sub: { singular: "قرش", dual: "قرشان", plural: "قروش", accusative: "قرشاً", feminine: false },
+    en: { main: "Egyptian Pound", mainPlural: "Egyptian Pounds", sub: "Piastre", subPlural: "Piastres" },
+  },
+  USD: {
+    code: "USD",
+    label: "دولار أمريكي",
+    decimals: 2,
+    main: { singular: "دولار أمريكي", dual: "دولاران أمريكيان", plural: "دولارات أمريكية", accusative: "دولاراً أمريكياً", feminine: false },
+    sub: { singular: "سنت", dual: "سنتان", plural: "سنتات", accusative: "سنتاً", feminine: false },
+    en: { main: "US Dollar", mainPlural: "US Dollars", sub: "Cent", subPlural: "Cents" },
+  },
+  EUR: {
+    code: "EUR",
+    label: "يورو",
+    decimals: 2,
+    // يورو is indeclinable, so the accusative takes no tanween
+    main: { singular: "يورو", dual: "يوروان", plural: "يوروات", accusative: "يورو", feminine: false },
+    sub: { singular: "سنت", dual: "سنتان", plural: "سنتات", accusative: "سنتاً", feminine: false },
+    en: { main: "Euro", mainPlural: "Euros", sub: "Cent", subPlural: "Cents" },
+  },
+  SAR: {
+    code: "SAR",
+    label: "ريال سعودي",
+    decimals: 2,
+    main: { singular: "ريال سعودي", dual: "ريالان سعوديان", plural: "ريالات سعودية", accusative: "ريالاً سعودياً", feminine: false },
+    sub: { singular: "هللة", dual: "هللتان", plural: "هللات", accusative: "هللة", feminine: true },
+    en: { main: "Saudi Riyal", mainPlural: "Saudi Riyals", sub: "Halala", subPlural: "Halalas" },
+  },
+  AED: {
+    code: "AED",
+    label: "درهم إماراتي",
+    decimals: 2,
+    main: { singular: "درهم إماراتي", dual: "درهمان إماراتيان", plural: "دراهم إماراتية", accusative: "درهماً إماراتياً", feminine: false },
+    sub: { singular: "فلس", dual: "فلسان", plural: "فلوس", accusative: "فلساً", feminine: false },
+    en: { main: "UAE Dirham", mainPlural: "UAE Dirhams", sub: "Fils", subPlural: "Fils" },
+  },
+  KWD: {
+    code: "KWD",
+    label: "دينار كويتي",
+    decimals: 3,
+    main: { singular: "دينار كويتي", dual: "ديناران كويتيان", plural: "دنانير كويتية", accusative: "ديناراً كويتياً", feminine: false },
+    sub: { singular: "فلس", dual: "فلسان", plural: "فلوس", accusative: "فلساً", feminine: false },
+    en: { main: "Kuwaiti Dinar", mainPlural: "Kuwaiti Dinars", sub: "Fils", subPlural: "Fils" },
+  },
+};
+
+// Unknown or missing codes fall back to the Egyptian pound
+export function getCurrency(code) {
+  return CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+}
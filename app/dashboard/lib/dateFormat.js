@@ -0,0 +1,65 @@
+// Cheque date rendering per template.
+// template.dateFormat picks the layout, template.dateDigits the numerals
+// ("" follows the app-wide Arabic numerals toggle), and each date field may
+// set calendar: "hijri" to print the Umm al-Qura date instead.
+
+import dayjs from "dayjs";
+import { toArabicDigits } from "./digits";
+import { HIJRI_MONTHS, toHijri } from "./hijri";
+
+export const DATE_FORMATS = [
+  { id: "DD/MM/YYYY", label: "يوم/شهر/سنة (DD/MM/YYYY)" },
+  { id: "YYYY/MM/DD", label: "سنة/شهر/يوم (YYYY/MM/DD)" },
+  // For banks that pre-print separate boxes: the date field stays empty and
+  // the dateDay / dateMonth / dateYear fields carry the parts
+  { id: "split", label: "خانات منفصلة (يوم - شهر - سنة)" },
+];
+
+export const DEFAULT_DATE_FORMAT = "YYYY/MM/DD";
+
+export const DATE_DIGITS = [
+  { id: "", label: "حسب إعداد الأرقام العام" },
+  { id: "arabic", label: "أرقام عربية ٠١٢٣" },
+  { id: "western", label: "أرقام إنجليزية 0123" },
+];
+
+export const CALENDARS = [
+  { id: "gregorian", label: "ميلادي" },
+  { id: "hijri", label: "هجري (أم القرى)" },
+];
+
+const DATE_PART_FORMATS = { dateDay: "DD", dateMonth: "MM", dateYear: "YYYY" };
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Hijri dates are written with the month name: "١ رمضان ١٤٤٧ هـ"
+function formatHijri(isoDate, bind) {
+  const h = toHijri(isoDate);
+  if (!h) return "";
+  if (bind === "dateDay") return pad2(h.day);
+  if (bind === "dateMonth") return pad2(h.month);
+  if (bind === "dateYear") return String(h.year);
+  return `${h.day} ${HIJRI_MONTHS[h.month - 1]} ${h.year} هـ`;
+}
+
+export const isDateBind = (bind) => bind === "date" || bind in DATE_PART_FORMATS;
+
+/**
+ * Text printed by a date-bound field for the ISO cheque date (YYYY-MM-DD).
+ * Returns "" when the date is missing or invalid.
+ */
+export function formatChequeDate(isoDate, field, template, useArabicNumerals) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(isoDate ?? ""))) return "";
+  const date = dayjs(isoDate);
+  if (!date.isValid()) return "";
+  const format = template.dateFormat || DEFAULT_DATE_FORMAT;
+  const { bind } = field;
+
+  let text;
+  if (field.calendar === "hijri") text = formatHijri(isoDate, bind);
+  else if (bind === "date") text = format === "split" ? "" : date.format(format);
+  else text = date.format(DATE_PART_FORMATS[bind]);
+
+  const arabic = template.dateDigits ? template.dateDigits === "arabic" : useArabicNumerals;
+  return arabic ? toArabicDigits(text) : text;
+}
@@ -0,0 +1,17 @@
+// Digit conversions between Western (0-9) and Arabic-Indic (٠-٩) numerals.
+
+const ARABIC_INDIC = "٠١٢٣٤٥٦٧٨٩";
+const EXTENDED_ARABIC_INDIC = "۰۱۲۳۴۵۶۷۸۹"; // Persian/Urdu keyboards
+
+// Any Arabic-Indic digits → Western digits, ٫ → "."
+export function normalizeDigits(str) {
+  return String(str ?? "")
+    .replace(/[٠-٩]/g, (d) => ARABIC_INDIC.indexOf(d))
+    .replace(/[۰-۹]/g, (d) => EXTENDED_ARABIC_INDIC.indexOf(d))
+    .replace(/٫/g, ".");
+}
+
+// Western digits → Arabic-Indic digits
+export function toArabicDigits(str) {
+  return String(str ?? "").replace(/\d/g, (d) => ARABIC_INDIC[d]);
+}
@@ -0,0 +1,47 @@
+// Duplicate payment check: a cheque about to print is a likely duplicate of a
+// history record with the same payee (normalized spelling), the same amount in
+// the same currency and a cheque date within the window.
+
+import { normalizeArabicName } from "./payees";
+import { chequeStatus } from "./chequeStatus";
+
+export const DEFAULT_DUPLICATE_WINDOW_DAYS = 30;
+
+// Spoiled leaves and cancelled cheques never paid anyone
+const IGNORED_STATUSES = ["spoiled", "cancelled"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cheque date of a record, falling back to the day it was saved
+const recordDate = (record) => record.form?.date || String(record.at || "").slice(0, 10);
+
+const daysBetween = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+
+// An earlier row of the batch being printed, as a record the later rows are checked against
+export const batchRowRecord = (cheque, index, templateId) => ({
+  id: `batch-row-${index}`,
+  at: "",
+  batchRow: index + 1,
+  templateId,
+  form: { payee: cheque.payee, amount: cheque.amount, currency: cheque.currency, date: cheque.date },
+});
+
+/**
+ * History records that `cheque` ({ payee, amount, currency, date }, amount as
+ * canonical text) likely duplicates, newest first.
+ */
+export function findDuplicatePayments(cheque, history, windowDays = DEFAULT_DUPLICATE_WINDOW_DAYS) {
+  const payee = normalizeArabicName(cheque.payee);
+  if (!payee || !cheque.amount) return [];
+  return history
+    .filter(record => {
+      const form = record.form || {};
+      if (IGNORED_STATUSES.includes(chequeStatus(record))) return false;
+      if (normalizeArabicName(form.payee) !== payee) return false;
+      if (Number(form.amount) !== Number(cheque.amount)) return false;
+      if (cheque.currency && form.currency && form.currency !== cheque.currency) return false;
+      const days = daysBetween(recordDate(record), cheque.date);
+      return !Number.isFinite(days) || days <= windowDays;
+    })
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { batchRowRecord, findDuplicatePayments } from "./duplicates";
+
+const cheque = { payee: "محمد علي", amount: "1000.00", currency: "EGP", date: "2026-10-10" };
+const record = (id, form, status = "printed") => ({ id, at: `2026-10-0${id}T10:00:00.000Z`, status, form: { ...cheque, ...form } });
+
+describe("findDuplicatePayments", () => {
+  it("matches the same payee, amount and currency within the window, newest first", () => {
+    const history = [record("1", { date: "2026-10-01" }), record("2", { payee: "محمد  على" }), record("3", { date: "2026-08-01" })];
+    expect(findDuplicatePayments(cheque, history, 30).map(r => r.id)).toEqual(["2", "1"]);
+  });
+
+  it("ignores other amounts, currencies and voided cheques", () => {
+    const history = [record("1", { amount: "1000.50" }), record("2", { currency: "USD" }), record("3", {}, "spoiled"), record("4", {}, "cancelled")];
+    expect(findDuplicatePayments(cheque, history, 30)).toEqual([]);
+  });
+
+  it("catches a repeated row of the same batch", () => {
+    const earlier = [batchRowRecord(cheque, 0, "nbe")];
+    expect(findDuplicatePayments(cheque, earlier, 30).map(r => r.batchRow)).toEqual([1]);
+  });
+});
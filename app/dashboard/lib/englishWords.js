@@ -0,0 +1,61 @@
+// English amount-in-words for bilingual cheques, e.g.
+// 1200.5 EGP → "One thousand two hundred Egyptian Pounds and 50 Piastres".
+// The sub-unit is written in digits as most bilingual cheques expect.
+
+const ONES = ["", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = [
+  { value: 1_000_000_000, word: "billion" },
+  { value: 1_000_000, word: "million" },
+  { value: 1_000, word: "thousand" },
+];
+
+// 1..999
+function belowThousand(num) {
+  const parts = [];
+  const h = Math.floor(num / 100);
+  const t = num % 100;
+  if (h) parts.push(`${ONES[h]} hundred`);
+  if (t) parts.push(t < 20 ? ONES[t] : [TENS[Math.floor(t / 10)], ONES[t % 10]].filter(Boolean).join("-"));
+  return parts.join(" ");
+}
+
+// Integer → lower-case English words ("one thousand two hundred")
+export function numberToEnglishWords(n) {
+  n = Number(n);
+  if (!isFinite(n)) return "";
+  n = Math.floor(Math.abs(n));
+  if (n === 0) return "zero";
+
+  const parts = [];
+  let rest = n;
+  for (const { value, word } of SCALES) {
+    const q = Math.floor(rest / value);
+    rest %= value;
+    if (q) parts.push(`${belowThousand(q)} ${word}`);
+  }
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(" ");
+}
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+/**
+ * Amount → English cheque wording using the currency's `en` names.
+ * The "only" suffix is added by the field renderer, like the Arabic wrapper.
+ */
+export function formatEnglishCurrencyWords(amount, currency) {
+  const n = Number(amount);
+  if (!isFinite(n)) return "";
+  const factor = 10 ** currency.decimals;
+  const total = Math.round(Math.abs(n) * factor);
+  const integer = Math.floor(total / factor);
+  const fraction = total % factor;
+  const { main, mainPlural, sub, subPlural } = currency.en;
+
+  const parts = [];
+  if (integer || !fraction) parts.push(`${numberToEnglishWords(integer)} ${integer === 1 ? main : mainPlural}`);
+  if (fraction) parts.push(`${fraction} ${fraction === 1 ? sub : subPlural}`);
+  return capitalize(parts.join(" and "));
+}
@@ -0,0 +1,54 @@
+// Gregorian → Hijri (Umm al-Qura) conversion, fully offline.
+// Uses the Umm al-Qura calendar built into the browser's ICU data; engines
+// without it fall back to the tabular Islamic calendar, which can differ by a day.
+
+export const HIJRI_MONTHS = [
+  "محرم", "صفر", "ربيع الأول", "ربيع الآخر", "جمادى الأولى", "جمادى الآخرة",
+  "رجب", "شعبان", "رمضان", "شوال", "ذو القعدة", "ذو الحجة",
+];
+
+let umalquraFormat;
+function getUmalquraFormat() {
+  if (umalquraFormat === undefined) {
+    try {
+      const fmt = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura-nu-latn", {
+        day: "numeric", month: "numeric", year: "numeric", timeZone: "UTC",
+      });
+      umalquraFormat = fmt.resolvedOptions().calendar === "islamic-umalqura" ? fmt : null;
+    } catch {
+      umalquraFormat = null;
+    }
+  }
+  return umalquraFormat;
+}
+
+// Tabular (arithmetic) Islamic calendar from the Julian day number
+function tabularHijri(utcDate) {
+  const jd = Math.floor(utcDate.getTime() / 86400000) + 2440588;
+  const l0 = jd - 1948440 + 10632;
+  const n = Math.floor((l0 - 1) / 10631);
+  const l1 = l0 - 10631 * n + 354;
+  const j = Math.floor((10985 - l1) / 5316) * Math.floor((50 * l1) / 17719)
+    + Math.floor(l1 / 5670) * Math.floor((43 * l1) / 15238);
+  const l2 = l1 - Math.floor((30 - j) / 15) * Math.floor((17719 * j) / 50)
+    - Math.floor(j / 16) * Math.floor((15238 * j) / 43) + 29;
+  const month = Math.floor((24 * l2) / 709);
+  const day = l2 - Math.floor((709 * month) / 24);
+  const year = 30 * n + j - 30;
+  return { year, month, day };
+}
+
+/**
+ * ISO date (YYYY-MM-DD) → { year, month, day } in the Hijri calendar, or null if invalid.
+ */
+export function toHijri(isoDate) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(isoDate ?? ""));
+  if (!m) return null;
+  const utcDate = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  if (isNaN(utcDate.getTime())) return null;
+
+  const fmt = getUmalquraFormat();
+  if (!fmt) return tabularHijri(utcDate);
+  const parts = Object.fromEntries(fmt.formatToParts(utcDate).map(p => [p.type, p.value]));
+  return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day) };
+}
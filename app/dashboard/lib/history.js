@@ -0,0 +1,33 @@
+// Cheque history search. Records are { id, templateId, form, at } as written by
+// saveCheque; form.amount is the canonical amount text and form.date ISO.
+
+import { normalizeArabicName } from "./payees";
+import { chequeStatus, isOutstanding } from "./chequeStatus";
+
+// status: "" for any, a status id, or "outstanding"
+export const EMPTY_HISTORY_FILTERS = { payee: "", chequeNumber: "", amountMin: "", amountMax: "", dateFrom: "", dateTo: "", templateId: "", memo: "", status: "" };
+
+const contains = (text, query) => normalizeArabicName(text).includes(normalizeArabicName(query));
+
+/**
+ * Records matching every filter that is set. Amount bounds are inclusive
+ * numbers, date bounds inclusive ISO dates (cheque date, not save time).
+ */
+export function filterHistory(history, filters) {
+  const min = filters.amountMin === "" ? null : Number(filters.amountMin);
+  const max = filters.amountMax === "" ? null : Number(filters.amountMax);
+  return history.filter(record => {
+    const form = record.form || {};
+    const amount = Number(form.amount);
+    if (filters.payee.trim() && !contains(form.payee, filters.payee)) return false;
+    if (filters.memo.trim() && !contains(form.memo, filters.memo)) return false;
+    if (filters.chequeNumber.trim() && !String(record.chequeNumber || "").includes(filters.chequeNumber.trim())) return false;
+    if (min !== null && !(amount >= min)) return false;
+    if (max !== null && !(amount <= max)) return false;
+    if (filters.dateFrom && !(form.date >= filters.dateFrom)) return false;
+    if (filters.dateTo && !(form.date <= filters.dateTo)) return false;
+    if (filters.templateId && record.templateId !== filters.templateId) return false;
+    if (filters.status === "outstanding" ? !isOutstanding(record) : filters.status && chequeStatus(record) !== filters.status) return false;
+    return true;
+  });
+}
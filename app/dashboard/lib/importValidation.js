@@ -0,0 +1,80 @@
+// Per-row checks for imported batch rows, shown as a report before batch
+// navigation starts so bad rows are fixed or excluded instead of printed.
+// Errors block a row; warnings (unknown template name, duplicates, no date) only inform.
+// A bank no template answers to is an error: such rows are never printed on a guessed template.
+
+import dayjs from "dayjs";
+import { parseAmount } from "./amount";
+import { getCurrency } from "./currencies";
+import { coerceAmount, coerceDate } from "./coerce";
+import { normalizeHeader } from "./columnMapping";
+import { findTemplateByKey, isUnmatchedBank, templateForRow } from "./bankMatching";
+
+const blank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Checks one batch row. `currency` is used unless the row's template (by name or bank) has its own.
+ * Returns { issues, amount, date } where issues are { field, message, blocking } and
+ * amount/date are the normalized values (null when invalid, date "" when missing).
+ */
+export function validateImportRow(row, { templates, currency }) {
+  const issues = [];
+  const add = (field, message, blocking) => issues.push({ field, message, blocking });
+
+  const template = templateForRow(row, templates);
+  if (!blank(row.template) && !findTemplateByKey(row.template, templates)) add("template", `القالب "${row.template}" غير موجود`, false);
+
+  if (blank(row.name)) add("name", "اسم المستفيد فارغ", true);
+
+  const rowCurrency = template?.currency ? getCurrency(template.currency) : currency;
+  const amount = parseAmount(coerceAmount(row.amount, rowCurrency), rowCurrency);
+  if (amount.error) add("amount", amount.error, true);
+
+  let date = "";
+  if (blank(row.date)) {
+    add("date", "لا يوجد تاريخ، سيُستخدم تاريخ اليوم", false);
+  } else {
+    date = coerceDate(row.date);
+    if (!date) add("date", `تاريخ غير مفهوم: ${row.date}`, true);
+  }
+
+  if (isUnmatchedBank(row, templates)) {
+    add("bank", `لا يوجد قالب للبنك "${row.bank}" - اختر قالباً للصف`, true);
+  }
+
+  return { issues, amount: amount.text, date };
+}
+
+/**
+ * Checks every row and flags repeats of the same payee, amount and date.
+ * Returns one { issues, amount, date } per row, in order.
+ */
+export function validateImportRows(rows, options) {
+  const seen = new Map();
+  return rows.map((row, i) => {
+    const result = validateImportRow(row, options);
+    if (!blank(row.name) && result.amount) {
+      const key = [normalizeHeader(row.name), result.amount, result.date].join("|");
+      if (seen.has(key)) {
+        result.issues.push({ field: "row", message: `مكرر مع الصف ${seen.get(key) + 1}`, blocking: false });
+      } else {
+        seen.set(key, i);
+      }
+    }
+    return result;
+  });
+}
+
+export const hasBlockingIssue = (result) => result.issues.some(issue => issue.blocking);
+
+/**
+ * Batch row with the validated values applied: canonical amount text and an
+ * ISO date (today when the row had none).
+ */
+export function normalizeImportRow(row, result) {
+  return {
+    ...row,
+    amount: result.amount ?? row.amount,
+    date: result.date || (blank(row.date) ? dayjs().format("YYYY-MM-DD") : row.date),
+  };
+}
@@ -0,0 +1,72 @@
+// Payee directory: the exact legal name printed on the cheque, the aliases it is
+// typed or imported under, and per-payee defaults.
+// Entries: { id, name, aliases, memo, templateId, bank }
+
+import { matchBankTemplate } from "./bankMatching";
+
+/**
+ * Comparison key for Arabic (and Latin) names: case, diacritics, tatweel,
+ * hamza/alef forms, ta marbuta, alef maqsura, punctuation and spacing.
+ */
+export function normalizeArabicName(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0670\u0640]/g, "") // harakat, dagger alef and tatweel
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .replace(/ؤ/g, "و")
+    .replace(/ئ/g, "ي")
+    .replace(/[^0-9a-z\u0621-\u064A\u0660-\u0669\u06F0-\u06F9]+/g, " ") // punctuation (incl. ، ؛) → space
+    .trim();
+}
+
+const payeeKeys = (payee) => [payee.name, ...(payee.aliases || [])].map(normalizeArabicName).filter(Boolean);
+
+export const newPayee = (name = "") => ({ id: crypto.randomUUID(), name: String(name).trim(), aliases: [], memo: "", templateId: "", bank: "" });
+
+// "الشركة المتحدة، المتحدة للتوريدات" → ["الشركة المتحدة", "المتحدة للتوريدات"]
+export const parsePayeeAliases = (text) =>
+  String(text ?? "").split(/[,،\n]/).map(s => s.trim()).filter(Boolean);
+
+// Directory entry whose legal name or an alias is `name`, or null
+export function findPayee(name, payees) {
+  const key = normalizeArabicName(name);
+  return (key && payees.find(p => payeeKeys(p).includes(key))) || null;
+}
+
+/**
+ * Autocomplete matches for `query`: names or aliases starting with it first,
+ * then those containing it.
+ */
+export function searchPayees(query, payees, limit = 8) {
+  const key = normalizeArabicName(query);
+  if (!key) return [];
+  const starts = [];
+  const contains = [];
+  for (const p of payees) {
+    const keys = payeeKeys(p);
+    if (keys.some(k => k.startsWith(key))) starts.push(p);
+    else if (keys.some(k => k.includes(key))) contains.push(p);
+  }
+  return [...starts, ...contains].slice(0, limit);
+}
+
+// Distinct names (from history or imports) that the directory does not know yet
+export function payeeCandidates(names, payees) {
+  const seen = new Set();
+  const result = [];
+  for (const name of names) {
+    const key = normalizeArabicName(name);
+    if (!key || seen.has(key) || findPayee(name, payees)) continue;
+    seen.add(key);
+    result.push(String(name).trim());
+  }
+  return result;
+}
+
+// The payee's default template: its own template, else the one matching its bank
+export function payeeTemplate(payee, templates) {
+  if (!payee) return null;
+  return templates.find(t => t.id === payee.templateId) || (payee.bank ? matchBankTemplate(payee.bank, templates) : null);
+}
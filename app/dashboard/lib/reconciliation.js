@@ -0,0 +1,215 @@
+// Bank statement reconciliation: debit lines of an imported statement (rows as
+// read by readBatchFile) are matched to the history records of the statement's
+// bank account and currency (records saved without an account by the template
+// they were printed on), first by cheque number and amount, then by amount
+// within a date tolerance. Matched cheques are marked cleared and each
+// account's statement period keeps a snapshot of the result.
+
+import { coerceAmount, coerceDate } from "./coerce";
+import { normalizeHeader } from "./columnMapping";
+import { normalizeDigits } from "./digits";
+import { DEFAULT_CURRENCY, getCurrency } from "./currencies";
+import { chequeStatus, isOutstanding } from "./chequeStatus";
+
+export const DEFAULT_DATE_TOLERANCE_DAYS = 3;
+
+// debit/credit for two-column statements, amount for a signed single column
+export const STATEMENT_FIELDS = [
+  { id: "date", label: "التاريخ", aliases: ["التاريخ", "تاريخ القيد", "تاريخ الحركة", "تاريخ الاستحقاق", "تاريخ القيمة", "date", "posting date", "transaction date", "value date", "booking date"] },
+  { id: "chequeNumber", label: "رقم الشيك", aliases: ["رقم الشيك", "الشيك", "رقم المرجع", "المرجع", "cheque no", "cheque number", "check no", "check number", "chq no", "reference", "ref"] },
+  { id: "debit", label: "مدين / سحب", aliases: ["مدين", "المدين", "سحب", "مسحوبات", "خصم", "debit", "withdrawal", "withdrawals", "dr"] },
+  { id: "credit", label: "دائن / إيداع", aliases: ["دائن", "الدائن", "إيداع", "ايداعات", "credit", "deposit", "deposits", "cr"] },
+  { id: "amount", label: "المبلغ (بإشارة)", aliases: ["المبلغ", "القيمة", "amount", "value"] },
+  { id: "description", label: "البيان", aliases: ["البيان", "الوصف", "التفاصيل", "description", "narrative", "details", "particulars"] },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isBlankRow = (row) => !row || row.every(cell => cell === undefined || cell === null || String(cell).trim() === "");
+
+const fieldOfHeader = (cell) => {
+  const key = normalizeHeader(cell);
+  return key ? STATEMENT_FIELDS.find(f => f.aliases.some(alias => normalizeHeader(alias) === key)) : undefined;
+};
+
+/**
+ * Header row and { fieldId: columnIndex } of a statement sheet: the first of the
+ * top fifteen rows that names at least two statement columns (banks put account
+ * details above the table). Returns { headerRow: -1, mapping: {} } when none does.
+ */
+export function detectStatementColumns(rows) {
+  const top = rows.slice(0, 15);
+  for (let i = 0; i < top.length; i++) {
+    if (isBlankRow(top[i])) continue;
+    const mapping = {};
+    top[i].forEach((cell, idx) => {
+      const field = fieldOfHeader(cell);
+      if (field && mapping[field.id] === undefined) mapping[field.id] = idx;
+    });
+    if (Object.keys(mapping).length >= 2) return { headerRow: i, mapping };
+  }
+  return { headerRow: -1, mapping: {} };
+}
+
+// The statement needs a date and either a debit or a signed amount column
+export function statementMappingError(mapping) {
+  if (mapping.date === undefined) return "حدد عمود التاريخ في كشف الحساب";
+  if (mapping.debit === undefined && mapping.amount === undefined) return "حدد عمود المدين أو عمود المبلغ في كشف الحساب";
+  return null;
+}
+
+// "شيك رقم 000123" / "CHQ 123" in a description
+const CHEQUE_IN_TEXT = /(?:شيك|شيكات|chq|cheque|check|chk)\D{0,12}(\d{3,15})/i;
+
+const chequeNumberOf = (numberCell, description) => {
+  const digits = normalizeDigits(String(numberCell ?? "")).replace(/\D/g, "");
+  if (digits) return digits;
+  return (CHEQUE_IN_TEXT.exec(normalizeDigits(String(description ?? ""))) || [])[1] || "";
+};
+
+/**
+ * Debit lines of the statement: [{ line, date, chequeNumber, amount, description }]
+ * with line the 1-based sheet row and amount positive. With a single signed
+ * amount column, negative amounts are the debits (all lines when none is negative).
+ */
+export function statementLines(rows, headerRow, mapping, currencyCode) {
+  const currency = getCurrency(currencyCode);
+  const cell = (row, fieldId) => (mapping[fieldId] === undefined ? undefined : row[mapping[fieldId]]);
+  const number = (value) => (value === undefined || value === null || String(value).trim() === "" ? 0 : Number(coerceAmount(value, currency)));
+
+  const entries = [];
+  rows.forEach((row, i) => {
+    if (i <= headerRow || isBlankRow(row)) return;
+    const date = coerceDate(cell(row, "date"));
+    if (!date) return; // opening/closing balance and total rows carry no date
+    const debit = mapping.debit !== undefined ? number(cell(row, "debit")) : number(cell(row, "amount"));
+    if (!Number.isFinite(debit) || debit === 0) return;
+    const description = String(cell(row, "description") ?? "").trim();
+    entries.push({ line: i + 1, date, chequeNumber: chequeNumberOf(cell(row, "chequeNumber"), description), amount: debit, description });
+  });
+
+  if (mapping.debit !== undefined) return entries.map(e => ({ ...e, amount: Math.abs(e.amount) }));
+  const negatives = entries.filter(e => e.amount < 0);
+  return (negatives.length ? negatives : entries).map(e => ({ ...e, amount: Math.abs(e.amount) }));
+}
+
+// Equal to the currency's smallest unit (500.001 and 500.004 differ in KWD)
+const sameAmount = (a, b, currency) => Math.abs(Number(a) - Number(b)) < 0.5 / 10 ** currency.decimals;
+const sameNumber = (a, b) => !!a && !!b && String(a).replace(/^0+/, "") === String(b).replace(/^0+/, "");
+const daysBetween = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+
+/**
+ * Bank accounts a statement can be for: every account on a template's current
+ * or used chequebooks or on a history record, with the first template it was
+ * printed on, then the templates that never had an account.
+ * Returns [{ key, account, templateId }]; key is the account, or the template id
+ * (with account "") for a template without one.
+ */
+export function statementAccounts(templates, history) {
+  const accounts = new Map();
+  const withAccount = new Set();
+  const add = (account, templateId) => {
+    if (!account) return;
+    withAccount.add(templateId);
+    if (!accounts.has(account)) accounts.set(account, { key: account, account, templateId });
+  };
+  for (const template of templates) {
+    for (const book of [template.chequebook, ...(template.usedChequebooks || [])]) add(book?.account, template.id);
+  }
+  for (const record of history) add(record.account, record.templateId);
+  return [...accounts.values(), ...templates.filter(t => !withAccount.has(t.id)).map(t => ({ key: t.id, account: "", templateId: t.id }))];
+}
+
+// A record is on the statement's account when both name one; otherwise it is
+// placed by the template it was printed on
+const onAccount = (record, account, templateId) =>
+  (account && record.account ? record.account === account : record.templateId === templateId);
+
+/**
+ * Matches statement lines to the history records of `account` (falling back to
+ * `templateId`, see onAccount) in `currency` (records saved without a currency
+ * count as the default one); each record matches at most one line, outstanding
+ * cheques before cleared ones.
+ * 1. same cheque number and amount;
+ * 2. lines left over: same amount and the cheque date within `dateToleranceDays`
+ *    of the statement date, closest first, never against a different cheque number.
+ * Returns { period: { from, to }, matches: [{ line, record, by }], unmatchedLines: [{ line, reason }],
+ * unmatchedRecords } where unmatchedRecords are outstanding cheques dated up to the period end.
+ */
+export function reconcileStatement(lines, history, { currency: currencyCode, account = "", templateId, dateToleranceDays = DEFAULT_DATE_TOLERANCE_DAYS }) {
+  const currency = getCurrency(currencyCode);
+  const outstandingFirst = (a, b) => Number(isOutstanding(b)) - Number(isOutstanding(a));
+  const candidates = history
+    .filter(r => !["spoiled", "cancelled"].includes(chequeStatus(r)))
+    .filter(r => onAccount(r, account, templateId) && (r.form?.currency || DEFAULT_CURRENCY) === currency.code)
+    .sort(outstandingFirst);
+  const sameLineAmount = (r, line) => sameAmount(r.form?.amount, line.amount, currency);
+  const used = new Set();
+  const matches = [];
+  const pending = [];
+
+  for (const line of lines) {
+    const record = line.chequeNumber && candidates.find(r => !used.has(r.id) && sameNumber(r.chequeNumber, line.chequeNumber) && sameLineAmount(r, line));
+    if (record) {
+      used.add(record.id);
+      matches.push({ line, record, by: "number" });
+    } else {
+      pending.push(line);
+    }
+  }
+
+  const unmatchedLines = [];
+  for (const line of pending) {
+    const options = candidates
+      .filter(r => !used.has(r.id) && sameLineAmount(r, line))
+      .filter(r => !(line.chequeNumber && r.chequeNumber) || sameNumber(r.chequeNumber, line.chequeNumber))
+      .filter(r => r.form?.date && daysBetween(r.form.date, line.date) <= dateToleranceDays)
+      .sort((a, b) => outstandingFirst(a, b) || daysBetween(a.form.date, line.date) - daysBetween(b.form.date, line.date));
+    if (options.length) {
+      used.add(options[0].id);
+      matches.push({ line, record: options[0], by: "amount" });
+      continue;
+    }
+    const numbered = line.chequeNumber && candidates.find(r => sameNumber(r.chequeNumber, line.chequeNumber));
+    unmatchedLines.push({
+      line,
+      reason: numbered
+        ? `الشيك رقم ${line.chequeNumber} في السجل بمبلغ ${numbered.form?.amount} مختلف`
+        : line.chequeNumber ? `لا يوجد شيك برقم ${line.chequeNumber} في السجل` : "لا يوجد شيك بنفس المبلغ في حدود التاريخ",
+    });
+  }
+
+  const dates = lines.map(l => l.date).sort();
+  const period = { from: dates[0] || "", to: dates[dates.length - 1] || "" };
+  const unmatchedRecords = candidates.filter(r => !used.has(r.id) && isOutstanding(r) && (!r.form?.date || r.form.date <= period.to));
+  return { period, currency: currency.code, account, templateId, matches: matches.sort((a, b) => a.line.line - b.line.line), unmatchedLines, unmatchedRecords };
+}
+
+/**
+ * What gets saved for a statement period. Records are copied as
+ * { id, chequeNumber, payee, amount, date } so the snapshot reads the same
+ * after the history changes.
+ */
+export function reconciliationSnapshot(result, fileName, at = new Date().toISOString()) {
+  const brief = (record) => ({ id: record.id, chequeNumber: record.chequeNumber || "", payee: record.form?.payee || "", amount: record.form?.amount || "", date: record.form?.date || "" });
+  return {
+    id: crypto.randomUUID(),
+    fileName,
+    period: result.period,
+    currency: result.currency,
+    account: result.account,
+    templateId: result.templateId,
+    at,
+    matches: result.matches.map(m => ({ line: m.line, by: m.by, record: brief(m.record) })),
+    unmatchedLines: result.unmatchedLines,
+    unmatchedRecords: result.unmatchedRecords.map(brief),
+  };
+}
+
+// Same account (template for statements without one), currency and statement period
+export const sameStatement = (a, b) =>
+  a.period.from === b.period.from && a.period.to === b.period.to && a.currency === b.currency
+  && (a.account || b.account ? a.account === b.account : a.templateId === b.templateId);
+
+// Snapshots list with `snapshot` replacing any earlier one for the same statement, newest first
+export const withSnapshot = (snapshots, snapshot) => [snapshot, ...snapshots.filter(s => !sameStatement(s, snapshot))];
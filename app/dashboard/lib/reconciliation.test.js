@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { detectStatementColumns, reconcileStatement, statementAccounts, statementLines, withSnapshot } from "./reconciliation";
+
+const record = (id, { templateId = "nbe", account = "", currency = "EGP", amount, date = "2026-10-01", chequeNumber = "", status = "printed" }) =>
+  ({ id, templateId, account, chequeNumber, status, form: { amount, currency, date, payee: id } });
+
+const line = (n, amount, { date = "2026-10-02", chequeNumber = "" } = {}) => ({ line: n, date, chequeNumber, amount, description: "" });
+
+describe("statementLines", () => {
+  it("finds the header below account details and reads debit lines only", () => {
+    const rows = [
+      ["كشف حساب", "", "", ""],
+      ["التاريخ", "رقم الشيك", "مدين", "دائن"],
+      ["2026-10-02", "000123", "1,000.00", ""],
+      ["2026-10-03", "", "", "500"],
+      ["", "", "", "رصيد"],
+    ];
+    const { headerRow, mapping } = detectStatementColumns(rows);
+    expect(headerRow).toBe(1);
+    expect(statementLines(rows, headerRow, mapping, "EGP")).toEqual([
+      { line: 3, date: "2026-10-02", chequeNumber: "000123", amount: 1000, description: "" },
+    ]);
+  });
+});
+
+describe("reconcileStatement", () => {
+  it("matches by cheque number and amount first", () => {
+    const history = [record("a", { amount: "1000.00", chequeNumber: "123" }), record("b", { amount: "1000.00", chequeNumber: "124" })];
+    const result = reconcileStatement([line(2, 1000, { chequeNumber: "000124" })], history, { currency: "EGP", templateId: "nbe" });
+    expect(result.matches.map(m => [m.record.id, m.by])).toEqual([["b", "number"]]);
+    expect(result.unmatchedRecords.map(r => r.id)).toEqual(["a"]);
+  });
+
+  it("only considers cheques of the statement's account and currency", () => {
+    const history = [
+      record("usd", { amount: "1000.00", currency: "USD" }),
+      record("other-bank", { amount: "1000.000", currency: "KWD", templateId: "cib" }),
+    ];
+    const result = reconcileStatement([line(2, 1000)], history, { currency: "KWD", templateId: "nbe" });
+    expect(result.matches).toEqual([]);
+    expect(result.unmatchedLines).toHaveLength(1);
+  });
+
+  it("matches by bank account when the record has one, whatever template printed it", () => {
+    const history = [
+      record("new-template", { amount: "400.00", account: "ACC-1", templateId: "nbe-2026" }),
+      record("other-account", { amount: "400.00", account: "ACC-2" }),
+      record("no-account", { amount: "400.00" }),
+    ];
+    const lines = [line(2, 400), line(3, 400), line(4, 400)];
+    const result = reconcileStatement(lines, history, { currency: "EGP", account: "ACC-1", templateId: "nbe" });
+    expect(result.matches.map(m => m.record.id).sort()).toEqual(["new-template", "no-account"]);
+    expect(result.account).toBe("ACC-1");
+  });
+
+  it("compares amounts to the currency's smallest unit", () => {
+    const history = [record("k", { amount: "500.001", currency: "KWD" })];
+    expect(reconcileStatement([line(2, 500.004)], history, { currency: "KWD", templateId: "nbe" }).matches).toEqual([]);
+    expect(reconcileStatement([line(2, 500.001)], history, { currency: "KWD", templateId: "nbe" }).matches).toHaveLength(1);
+  });
+
+  it("prefers outstanding cheques over cleared ones when matching by amount", () => {
+    const history = [
+      record("cleared", { amount: "250.00", date: "2026-10-02", status: "cleared" }),
+      record("outstanding", { amount: "250.00", date: "2026-09-30" }),
+    ];
+    const result = reconcileStatement([line(2, 250)], history, { currency: "EGP", templateId: "nbe" });
+    expect(result.matches.map(m => [m.record.id, m.by])).toEqual([["outstanding", "amount"]]);
+  });
+
+  it("leaves lines outside the date tolerance and spoiled cheques unmatched", () => {
+    const history = [record("late", { amount: "75.00", date: "2026-09-01" }), record("spoiled", { amount: "75.00", status: "spoiled" })];
+    const result = reconcileStatement([line(2, 75)], history, { currency: "EGP", templateId: "nbe", dateToleranceDays: 3 });
+    expect(result.matches).toEqual([]);
+    expect(result.unmatchedRecords.map(r => r.id)).toEqual(["late"]);
+  });
+});
+
+describe("statementAccounts", () => {
+  it("lists book and history accounts, then templates without one", () => {
+    const templates = [
+      { id: "nbe", chequebook: { account: "ACC-1" }, usedChequebooks: [{ account: "ACC-0" }] },
+      { id: "nbe-2026", chequebook: { account: "ACC-1" }, usedChequebooks: [] },
+      { id: "cib", chequebook: { account: "" }, usedChequebooks: [] },
+    ];
+    const history = [record("a", { account: "ACC-9", templateId: "nbe" })];
+    expect(statementAccounts(templates, history)).toEqual([
+      { key: "ACC-1", account: "ACC-1", templateId: "nbe" },
+      { key: "ACC-0", account: "ACC-0", templateId: "nbe" },
+      { key: "ACC-9", account: "ACC-9", templateId: "nbe" },
+      { key: "cib", account: "", templateId: "cib" },
+    ]);
+  });
+});
+
+describe("withSnapshot", () => {
+  it("replaces the snapshot of the same account and period only", () => {
+    const period = { from: "2026-10-01", to: "2026-10-31" };
+    const old = { id: "1", period, account: "ACC-1", templateId: "nbe", currency: "EGP" };
+    const otherAccount = { id: "2", period, account: "ACC-2", templateId: "nbe", currency: "EGP" };
+    const next = { id: "3", period, account: "ACC-1", templateId: "nbe-2026", currency: "EGP" };
+    expect(withSnapshot([old, otherAccount], next).map(s => s.id)).toEqual(["3", "2"]);
+  });
+
+  it("tells statements without an account apart by template", () => {
+    const period = { from: "2026-10-01", to: "2026-10-31" };
+    const nbe = { id: "1", period, account: "", templateId: "nbe", currency: "EGP" };
+    const cib = { id: "2", period, account: "", templateId: "cib", currency: "EGP" };
+    expect(withSnapshot([nbe], cib).map(s => s.id)).toEqual(["2", "1"]);
+  });
+});
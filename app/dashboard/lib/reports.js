@@ -0,0 +1,129 @@
+// Spending reports over the cheque history: cheque counts and amount totals per
+// payee, bank, template, month or status, for a range of cheque dates, and the
+// same report as an XLSX workbook.
+
+import * as XLSX from "xlsx";
+import { normalizeArabicName } from "./payees";
+import { CHEQUE_STATUSES, chequeStatus, statusInfo, totalsByCurrency } from "./chequeStatus";
+
+export const REPORT_GROUPS = [
+  { id: "payee", label: "المستفيد" },
+  { id: "bank", label: "البنك" },
+  { id: "template", label: "القالب" },
+  { id: "month", label: "الشهر" },
+  { id: "status", label: "الحالة" },
+];
+
+// includeVoid: also count spoiled leaves and cancelled cheques, which paid nothing
+export const EMPTY_REPORT_FILTERS = { groupBy: "payee", dateFrom: "", dateTo: "", includeVoid: false };
+
+const VOID_STATUSES = ["spoiled", "cancelled"];
+
+// Bank of a record: the imported bank column, else its template's first alias or name
+function recordBank(record, template) {
+  return record.form?.bank || template?.bankAliases?.[0] || template?.name || record.templateId || "";
+}
+
+// Cheque date, or the day it was saved for records without one (spoiled leaves)
+const recordDate = (record) => record.form?.date || String(record.at || "").slice(0, 10);
+
+// { key, label } of the group a record falls in
+function groupOf(record, groupBy, templates) {
+  const template = templates.find(t => t.id === record.templateId);
+  switch (groupBy) {
+    case "payee": return { key: normalizeArabicName(record.form?.payee), label: String(record.form?.payee ?? "").trim() };
+    case "bank": {
+      const bank = recordBank(record, template);
+      return { key: normalizeArabicName(bank), label: bank };
+    }
+    case "template": return { key: record.templateId || "", label: template?.name || record.templateId || "" };
+    case "month": {
+      const month = recordDate(record).slice(0, 7);
+      return { key: month, label: month };
+    }
+    default: {
+      const status = chequeStatus(record);
+      return { key: status, label: statusInfo(status).label };
+    }
+  }
+}
+
+// Months and statuses keep their natural order; other groups go largest first
+function compareGroups(groupBy) {
+  if (groupBy === "month") return (a, b) => a.key.localeCompare(b.key);
+  if (groupBy === "status") {
+    const order = CHEQUE_STATUSES.map(s => s.id);
+    return (a, b) => order.indexOf(a.key) - order.indexOf(b.key);
+  }
+  return (a, b) => b.count - a.count || a.label.localeCompare(b.label, "ar");
+}
+
+/**
+ * Report over the history records in the filters' cheque date range (inclusive ISO dates).
+ * Returns { groupBy, records, currencies, rows: [{ key, label, count, totals }], total: { count, totals } }
+ * where totals are { [currency code]: amount }.
+ */
+export function buildSpendingReport(history, filters, templates) {
+  const { groupBy, dateFrom, dateTo, includeVoid } = { ...EMPTY_REPORT_FILTERS, ...filters };
+  const records = history.filter(record => {
+    const date = recordDate(record);
+    if (!includeVoid && VOID_STATUSES.includes(chequeStatus(record))) return false;
+    if (dateFrom && !(date >= dateFrom)) return false;
+    if (dateTo && !(date <= dateTo)) return false;
+    return true;
+  });
+
+  const groups = new Map();
+  for (const record of records) {
+    const { key, label } = groupOf(record, groupBy, templates);
+    if (!groups.has(key)) groups.set(key, { key, label: label || "—", records: [] });
+    groups.get(key).records.push(record);
+  }
+
+  const rows = [...groups.values()]
+    .map(g => ({ key: g.key, label: g.label, count: g.records.length, totals: totalsByCurrency(g.records) }))
+    .sort(compareGroups(groupBy));
+  const totals = totalsByCurrency(records);
+  return { groupBy, records, currencies: Object.keys(totals).sort(), rows, total: { count: records.length, totals } };
+}
+
+/**
+ * Workbook with the report ("الملخص") and the cheques it covers ("التفاصيل"),
+ * both right-to-left.
+ */
+export function reportWorkbook(report, templates) {
+  const groupLabel = REPORT_GROUPS.find(g => g.id === report.groupBy)?.label || "";
+  const summary = [
+    [groupLabel, "عدد الشيكات", ...report.currencies],
+    ...report.rows.map(row => [row.label, row.count, ...report.currencies.map(code => row.totals[code] ?? 0)]),
+    ["الإجمالي", report.total.count, ...report.currencies.map(code => report.total.totals[code] ?? 0)],
+  ];
+  const details = [
+    ["رقم الشيك", "تاريخ الشيك", "المستفيد", "المبلغ", "العملة", "البنك", "القالب", "الغرض", "الحالة"],
+    ...report.records.map(record => {
+      const template = templates.find(t => t.id === record.templateId);
+      return [
+        record.chequeNumber || "",
+        record.form?.date || "",
+        record.form?.payee || "",
+        Number(record.form?.amount) || 0,
+        record.form?.currency || "",
+        recordBank(record, template),
+        template?.name || record.templateId || "",
+        record.form?.memo || "",
+        statusInfo(chequeStatus(record)).label,
+      ];
+    }),
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), "الملخص");
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(details), "التفاصيل");
+  workbook.Workbook = { Views: [{ RTL: true }] };
+  return workbook;
+}
+
+// Downloads the report workbook as `fileName`
+export function exportReportXlsx(report, templates, fileName) {
+  XLSX.writeFile(reportWorkbook(report, templates), fileName);
+}
@@ -0,0 +1,25 @@
+import { createHash } from "node:crypto";
+import { describe, expect, it } from "vitest";
+import { sha256 } from "./sha256";
+
+describe("sha256", () => {
+  // FIPS 180-2 examples
+  it.each([
+    ["", "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"],
+    ["abc", "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"],
+    ["abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq", "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1"],
+  ])("hashes %j", (text, digest) => {
+    expect(sha256(text)).toBe(digest);
+  });
+
+  it("hashes Arabic text as UTF-8", () => {
+    expect(sha256("شيك بمبلغ ألف جنيه")).toBe("8fb3b4a653ad8a5277618d671923d272717fb8264db6dc1986d330f745fe5e29");
+  });
+
+  it("agrees with node's digest around the 64-byte block boundaries", () => {
+    for (const length of [55, 56, 63, 64, 65, 119, 120, 128]) {
+      const text = "ش".repeat(length >> 1) + "x".repeat(length & 1);
+      expect(sha256(text)).toBe(createHash("sha256").update(text, "utf8").digest("hex"));
+    }
+  });
+});
@@ -0,0 +1,233 @@
+// Versioned template schema. Templates carry `schemaVersion`; older stored or
+// imported templates are upgraded one version at a time by MIGRATIONS and then
+// checked by validateTemplate, so state only ever holds current, valid templates.
+//
+// Versions:
+//   0  the page.old.jsx layout: fields centred on (x, y), COMPACT_FIELDS and the
+//      bank samples without a second amount line; sizes may use width/height keys
+//   1  fields anchored at their top-right corner, size in widthMM/heightMM;
+//      align: "center" centres a field's text in its box (migrated old fields)
+//   2  currency, date format, bank aliases, chequebook and every DEFAULT_FIELDS bind
+
+import { CURRENCIES, DEFAULT_CURRENCY } from "./currencies";
+import { CALENDARS, DATE_DIGITS, DATE_FORMATS, DEFAULT_DATE_FORMAT } from "./dateFormat";
+import { DEFAULT_FIELD_WIDTH_RATIO } from "./textFit";
+import { EMPTY_CHEQUEBOOK } from "./chequebooks";
+import { isValidSerial } from "./chequeNumbers";
+
+export const TEMPLATE_SCHEMA_VERSION = 2;
+
+// Default fields used on most Egyptian cheques
+export const DEFAULT_FIELDS = [
+  { id: "date", label: "التاريخ", bind: "date", x: 88, y: 3, fontSize: 14 },
+  // Separate day / month / year boxes, used with the "split" date format
+  { id: "dateDay", label: "اليوم", bind: "dateDay", x: 70, y: 3, fontSize: 14, widthMM: 12, hidden: true },
+  { id: "dateMonth", label: "الشهر", bind: "dateMonth", x: 78, y: 3, fontSize: 14, widthMM: 12, hidden: true },
+  { id: "dateYear", label: "السنة", bind: "dateYear", x: 90, y: 3, fontSize: 14, widthMM: 18, hidden: true },
+  // Second date line for counterparties that require the Hijri date alongside the Gregorian one
+  { id: "dateHijri", label: "التاريخ الهجري", bind: "date", calendar: "hijri", x: 88, y: 10, fontSize: 12, hidden: true },
+  { id: "payee", label: "إسم المستفيد", bind: "payee", x: 65, y: 26, fontSize: 18 },
+  { id: "amountNum", label: "المبلغ بالأرقام", bind: "amountNum", x: 98, y: 37, fontSize: 18 },
+  { id: "amountWords", label: "المبلغ كتابة", bind: "amountWords", x: 62, y: 45, fontSize: 14 },
+  { id: "amountWords2", label: "2المبلغ كتابة", bind: "amountWords2", x: 10, y: 45, fontSize: 14 },
+  // English amount line for bilingual cheques; hidden until enabled in Edit Layout mode
+  { id: "amountWordsEn", label: "Amount in words (EN)", bind: "amountWordsEn", x: 98, y: 52, fontSize: 12, hidden: true },
+  { id: "memo", label: "الغرض/ملاحظات", bind: "memo", x: 10, y: 60, fontSize: 12 },
+  { id: "signature", label: "التوقيع", bind: "signature", x: 80, y: 80, fontSize: 12 },
+  // Serial from the template's chequebook, for cheques without a pre-printed number
+  { id: "chequeNumber", label: "رقم الشيك", bind: "chequeNumber", x: 20, y: 3, fontSize: 12, hidden: true },
+];
+
+// Accepted cheque sizes in mm, also enforced by the dimension inputs
+export const DIMENSION_LIMITS = { widthMM: [100, 250], heightMM: [50, 150] };
+
+const FIELD_BINDS = [...new Set(DEFAULT_FIELDS.map(f => f.bind))];
+const FONT_SIZE_RANGE = [4, 96];
+const FIELD_ALIGNS = ["right", "center"];
+const MM_PER_PX = 25.4 / 96;
+// Rendered line height of a field, as in the preview
+const LINE_HEIGHT = 2.3;
+// Narrowest box a migrated field gets, for points on the cheque's very edge
+const MIN_MIGRATED_WIDTH_MM = 1;
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const round2 = (n) => Math.round(n * 100) / 100;
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const inRange = (v, [min, max]) => isNumber(v) && v >= min && v <= max;
+
+// Version of a template; unversioned ones are told apart by their layout
+export function templateVersion(template) {
+  if (template.schemaVersion !== undefined) return template.schemaVersion;
+  const oldSizeKeys = template.widthMM === undefined && (template.width !== undefined || template.dimensions || template.size);
+  const hasSecondLine = Array.isArray(template.fields) && template.fields.some(f => f?.bind === "amountWords2");
+  return oldSizeKeys || !hasSecondLine ? 0 : 1;
+}
+
+// First number among the candidates (numeric strings included)
+const firstNumber = (...values) => {
+  for (const v of values) {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    if (isNumber(n)) return n;
+  }
+  return undefined;
+};
+
+/**
+ * migrations[v] upgrades a version-v template to v + 1. They only reshape;
+ * validateTemplate decides afterwards whether the result is usable.
+ */
+const MIGRATIONS = {
+  // Size keys of old exports and presets → widthMM/heightMM. Centred fields get a
+  // box centred on their old point, as wide as fits on the cheque, with centred
+  // text, so the text prints where it used to.
+  0: (template) => {
+    const { width, height, dimensions, size, ...rest } = template;
+    const widthMM = firstNumber(template.widthMM, width, dimensions?.width, size?.width);
+    const heightMM = firstNumber(template.heightMM, height, dimensions?.height, size?.height);
+    const fields = Array.isArray(template.fields)
+      ? template.fields.map(f => {
+        // Out-of-range positions are left for validateTemplate to report
+        if (!f || !inRange(f.x, [0, 100]) || !inRange(f.y, [0, 100]) || !isNumber(widthMM) || !isNumber(heightMM)) return f;
+        const centreMM = (f.x / 100) * widthMM;
+        const boxWidth = Math.max(
+          MIN_MIGRATED_WIDTH_MM,
+          Math.min(Number(f.widthMM) || widthMM * DEFAULT_FIELD_WIDTH_RATIO, 2 * centreMM, 2 * (widthMM - centreMM))
+        );
+        const halfHeight = (((f.fontSize || 14) * LINE_HEIGHT * MM_PER_PX) / heightMM) * 50;
+        return {
+          ...f,
+          widthMM: round2(boxWidth),
+          align: "center",
+          x: round2(clamp(((centreMM + boxWidth / 2) / widthMM) * 100, 0, 100)),
+          y: round2(clamp(f.y - halfHeight, 0, 100)),
+        };
+      })
+      : template.fields;
+    return { ...rest, widthMM, heightMM, fields };
+  },
+  // Settings added since, with their defaults; missing default fields join hidden
+  1: (template) => {
+    const fields = Array.isArray(template.fields) ? template.fields : [];
+    const missing = DEFAULT_FIELDS.filter(d => !fields.some(f => f?.id === d.id)).map(d => ({ ...d, hidden: true }));
+    return {
+      bg: null,
+      dpi: 300,
+      printOffsetX: 0,
+      printOffsetY: 0,
+      currency: DEFAULT_CURRENCY,
+      dateFormat: DEFAULT_DATE_FORMAT,
+      dateDigits: "",
+      bankAliases: [],
+      usedChequebooks: [],
+      ...template,
+      chequebook: { ...EMPTY_CHEQUEBOOK, ...template.chequebook },
+      fields: Array.isArray(template.fields) ? [...fields, ...missing] : template.fields,
+    };
+  },
+};
+
+/**
+ * Template upgraded to TEMPLATE_SCHEMA_VERSION. Throws an Error with an Arabic
+ * message for versions this build does not know.
+ */
+export function migrateTemplate(template) {
+  let version = templateVersion(template);
+  if (typeof version !== "number") throw new Error(`إصدار القالب يجب أن يكون رقماً وليس ${typeof version === "string" ? "نصاً" : "قيمة من نوع " + typeof version} (${JSON.stringify(version)})`);
+  if (!Number.isInteger(version) || version < 0) throw new Error(`إصدار القالب غير معروف (${version})`);
+  if (version > TEMPLATE_SCHEMA_VERSION) throw new Error(`القالب من إصدار أحدث (${version}) - حدّث البرنامج أولاً`);
+  let result = template;
+  while (version < TEMPLATE_SCHEMA_VERSION) {
+    result = MIGRATIONS[version](result);
+    version++;
+  }
+  return { ...result, schemaVersion: TEMPLATE_SCHEMA_VERSION };
+}
+
+/**
+ * Problems of a current-version template, as Arabic messages ([] when valid).
+ */
+export function validateTemplate(template) {
+  if (!template || typeof template !== "object" || Array.isArray(template)) return ["القالب ليس كائناً صالحاً"];
+  const errors = [];
+  const t = template;
+  if (typeof t.id !== "string" || !t.id.trim()) errors.push("معرّف القالب مفقود");
+  if (typeof t.name !== "string" || !t.name.trim()) errors.push("اسم القالب مفقود");
+  for (const key of ["widthMM", "heightMM"]) {
+    const [min, max] = DIMENSION_LIMITS[key];
+    if (!inRange(t[key], DIMENSION_LIMITS[key])) errors.push(`${key === "widthMM" ? "العرض" : "الارتفاع"} يجب أن يكون رقماً بين ${min} و ${max} مم`);
+  }
+  if (t.bg !== null && t.bg !== undefined && (typeof t.bg !== "string" || !t.bg.startsWith("data:image/"))) errors.push("الخلفية يجب أن تكون صورة");
+  if (!isNumber(t.printOffsetX) || !isNumber(t.printOffsetY)) errors.push("إزاحة الطباعة يجب أن تكون أرقاماً");
+  if (!CURRENCIES[t.currency]) errors.push(`العملة غير معروفة (${t.currency})`);
+  if (!DATE_FORMATS.some(f => f.id === t.dateFormat)) errors.push(`صيغة التاريخ غير معروفة (${t.dateFormat})`);
+  if (!DATE_DIGITS.some(d => d.id === (t.dateDigits ?? ""))) errors.push(`نوع أرقام التاريخ غير معروف (${t.dateDigits})`);
+  if (!Array.isArray(t.bankAliases) || t.bankAliases.some(a => typeof a !== "string")) errors.push("أسماء البنك البديلة يجب أن تكون قائمة نصوص");
+  if (!Array.isArray(t.usedChequebooks)) errors.push("سجل دفاتر الشيكات يجب أن يكون قائمة");
+  const book = t.chequebook;
+  if (!book || typeof book !== "object") errors.push("بيانات دفتر الشيكات مفقودة");
+  else {
+    for (const key of ["startSerial", "endSerial", "nextSerial"]) {
+      if (book[key] && !isValidSerial(book[key])) errors.push(`رقم دفتر الشيكات غير صالح (${book[key]})`);
+    }
+  }
+
+  if (!Array.isArray(t.fields) || !t.fields.length) {
+    errors.push("القالب لا يحتوي على حقول");
+    return errors;
+  }
+  const ids = new Set();
+  t.fields.forEach((f, i) => {
+    const where = `الحقل ${f?.label || f?.id || i + 1}`;
+    if (!f || typeof f !== "object") {
+      errors.push(`الحقل رقم ${i + 1} غير صالح`);
+      return;
+    }
+    if (typeof f.id !== "string" || !f.id) errors.push(`${where}: المعرّف مفقود`);
+    else if (ids.has(f.id)) errors.push(`${where}: المعرّف مكرر`);
+    ids.add(f.id);
+    if (!FIELD_BINDS.includes(f.bind)) errors.push(`${where}: نوع الربط غير معروف (${f.bind})`);
+    if (!inRange(f.x, [0, 100]) || !inRange(f.y, [0, 100])) errors.push(`${where}: الموضع يجب أن يكون بين 0 و 100%`);
+    if (!inRange(f.fontSize, FONT_SIZE_RANGE)) errors.push(`${where}: حجم الخط يجب أن يكون بين ${FONT_SIZE_RANGE[0]} و ${FONT_SIZE_RANGE[1]}`);
+    if (f.widthMM !== undefined && !(isNumber(f.widthMM) && f.widthMM > 0)) errors.push(`${where}: العرض غير صالح`);
+    if (f.align !== undefined && !FIELD_ALIGNS.includes(f.align)) errors.push(`${where}: المحاذاة غير معروفة (${f.align})`);
+    if (f.calendar !== undefined && !CALENDARS.some(c => c.id === f.calendar)) errors.push(`${where}: التقويم غير معروف (${f.calendar})`);
+  });
+  return errors;
+}
+
+/**
+ * Upgrades and validates a list of templates (stored or imported).
+ * Returns { templates, errors } with the usable templates and, for each
+ * rejected one, a message naming it.
+ */
+export function upgradeTemplates(list) {
+  const templates = [];
+  const errors = [];
+  list.forEach((raw, i) => {
+    const name = (raw && typeof raw === "object" && raw.name) || `رقم ${i + 1}`;
+    try {
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("ليس كائن قالب");
+      const template = migrateTemplate(raw);
+      const problems = validateTemplate(template);
+      if (problems.length) throw new Error(problems.join("، "));
+      templates.push(template);
+    } catch (error) {
+      errors.push(`القالب "${name}": ${error.message}`);
+    }
+  });
+  return { templates, errors };
+}
+
+/**
+ * Templates in an imported JSON file: a single template, an array of them, or
+ * an object holding the array under `templates`.
+ * Throws an Error listing every problem when any template is rejected.
+ */
+export function parseTemplateFile(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.templates) ? data.templates : [data];
+  if (!list.length) throw new Error("الملف لا يحتوي على قوالب");
+  // Imported templates are given a new id, so a missing one is not an error here
+  const { templates, errors } = upgradeTemplates(list.map(t => (t && typeof t === "object" && !Array.isArray(t) && !t.id ? { ...t, id: "imported" } : t)));
+  if (errors.length) throw new Error(errors.join("\n"));
+  return templates;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_FIELDS, TEMPLATE_SCHEMA_VERSION, migrateTemplate, parseTemplateFile, templateVersion, validateTemplate } from "./templateSchema";
+
+// A page.old.jsx export: centred fields, no second amount line, width/height keys
+const OLD_TEMPLATE = {
+  id: "old",
+  name: "قالب قديم",
+  width: 200,
+  height: 90,
+  fields: [
+    { id: "date", label: "التاريخ", bind: "date", x: 85, y: 12, fontSize: 12 },
+    { id: "payee", label: "إسم المستفيد", bind: "payee", x: 25, y: 35, fontSize: 16 },
+    { id: "amountWords", label: "المبلغ كتابة", bind: "amountWords", x: 20, y: 55, fontSize: 12 },
+  ],
+};
+
+// Text centre of a migrated field in % of the cheque width (its box is anchored top-right)
+const centre = (field, template) => ((field.x / 100) * template.widthMM - field.widthMM / 2) / template.widthMM * 100;
+
+describe("migrateTemplate", () => {
+  it("upgrades an old centred layout to a valid current template", () => {
+    expect(templateVersion(OLD_TEMPLATE)).toBe(0);
+    const template = migrateTemplate(OLD_TEMPLATE);
+    expect(template.schemaVersion).toBe(TEMPLATE_SCHEMA_VERSION);
+    expect([template.widthMM, template.heightMM]).toEqual([200, 90]);
+    expect(validateTemplate(template)).toEqual([]);
+  });
+
+  it("keeps the text of migrated fields centred on their old point", () => {
+    const template = migrateTemplate(OLD_TEMPLATE);
+    for (const old of OLD_TEMPLATE.fields) {
+      const field = template.fields.find(f => f.id === old.id);
+      expect(field.align).toBe("center");
+      expect(field.x).toBeLessThanOrEqual(100);
+      expect(centre(field, template)).toBeCloseTo(old.x, 1);
+    }
+  });
+
+  it("adds the default fields the template lacks, hidden", () => {
+    const template = migrateTemplate(OLD_TEMPLATE);
+    const added = template.fields.filter(f => !OLD_TEMPLATE.fields.some(o => o.id === f.id));
+    expect(added.map(f => f.id)).toEqual(DEFAULT_FIELDS.filter(d => !OLD_TEMPLATE.fields.some(o => o.id === d.id)).map(d => d.id));
+    expect(added.every(f => f.hidden)).toBe(true);
+  });
+
+  it("leaves current templates as they are", () => {
+    const template = migrateTemplate(OLD_TEMPLATE);
+    expect(migrateTemplate(template)).toEqual(template);
+  });
+
+  it("rejects newer, unknown and non-numeric versions", () => {
+    expect(() => migrateTemplate({ ...OLD_TEMPLATE, schemaVersion: TEMPLATE_SCHEMA_VERSION + 1 })).toThrow(/أحدث/);
+    expect(() => migrateTemplate({ ...OLD_TEMPLATE, schemaVersion: -1 })).toThrow(/غير معروف/);
+    expect(() => migrateTemplate({ ...OLD_TEMPLATE, schemaVersion: "2" })).toThrow(/نصاً/);
+  });
+});
+
+describe("parseTemplateFile", () => {
+  it("accepts a single template, an array and a { templates } object", () => {
+    expect(parseTemplateFile(OLD_TEMPLATE)).toHaveLength(1);
+    expect(parseTemplateFile([OLD_TEMPLATE, OLD_TEMPLATE])).toHaveLength(2);
+    expect(parseTemplateFile({ templates: [OLD_TEMPLATE] })).toHaveLength(1);
+  });
+
+  it("names every rejected template", () => {
+    const broken = { ...OLD_TEMPLATE, name: "تالف", width: 20 };
+    expect(() => parseTemplateFile([OLD_TEMPLATE, broken])).toThrow(/تالف/);
+  });
+});
@@ -0,0 +1,56 @@
+// Fits amount-in-words text into the printed field boxes of a template.
+// Widths are in millimetres; fonts are sized in CSS px like the preview
+// (1px = 25.4 / 96 mm on paper).
+
+const MM_PER_PX = 25.4 / 96;
+
+// Fields are rendered at half the cheque width unless they set their own widthMM
+export const DEFAULT_FIELD_WIDTH_RATIO = 0.5;
+
+// Horizontal padding of a field box (px-1 on both sides)
+const FIELD_PADDING_MM = 2 * 4 * MM_PER_PX;
+
+export function fieldWidthMM(field, template) {
+  return Number(field?.widthMM) || template.widthMM * DEFAULT_FIELD_WIDTH_RATIO;
+}
+
+let measureCtx = null;
+
+/**
+ * Printed width of `text` in mm at `fontSize` px.
+ * Print output is semi-bold (see the print styles), so we measure at weight 600.
+ */
+export function measureTextMM(text, fontSize, fontFamily = "sans-serif") {
+  if (typeof document === "undefined") {
+    // No canvas during the server render: rough average glyph width
+    return text.length * fontSize * 0.5 * MM_PER_PX;
+  }
+  if (!measureCtx) measureCtx = document.createElement("canvas").getContext("2d");
+  measureCtx.font = `600 ${fontSize}px ${fontFamily}`;
+  return measureCtx.measureText(text).width * MM_PER_PX;
+}
+
+/**
+ * Splits "فقط <words> لا غير" at word boundaries so that the first line fits
+ * `first` and the rest goes to `second`.
+ * first/second: { widthMM, fontSize } or null when the field is not on the template.
+ * Returns { line1, line2, overflow } where overflow means the text still does not fit.
+ */
+export function splitAmountWords(words, first, second, { prefix = "فقط", suffix = "لا غير", fontFamily } = {}) {
+  if (!words) return { line1: "", line2: "", overflow: false };
+  // Keep "لا غير" together so it never breaks across lines
+  const tokens = [prefix, ...words.split(" "), suffix].filter(Boolean);
+  const fits = (text, box) => !!box && measureTextMM(text, box.fontSize, fontFamily) <= box.widthMM - FIELD_PADDING_MM;
+
+  const whole = tokens.join(" ");
+  if (!first || fits(whole, first)) return { line1: whole, line2: "", overflow: false };
+  if (!second) return { line1: whole, line2: "", overflow: true };
+
+  let count = 0;
+  while (count < tokens.length && fits(tokens.slice(0, count + 1).join(" "), first)) count++;
+  // A single word wider than the box still has to go somewhere
+  count = Math.max(count, 1);
+  const line1 = tokens.slice(0, count).join(" ");
+  const line2 = tokens.slice(count).join(" ");
+  return { line1, line2, overflow: !fits(line2, second) };
+}
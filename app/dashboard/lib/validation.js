@@ -0,0 +1,25 @@
+// Checks run before a cheque is allowed to print.
+
+import dayjs from "dayjs";
+import { parseAmount } from "./amount";
+
+/**
+ * Returns { amount, payee, date } error messages (null when valid) for the cheque form.
+ * form.date is the ISO value of the date input (YYYY-MM-DD).
+ */
+export function validateChequeForm(form, currency) {
+  const errors = { amount: null, payee: null, date: null };
+
+  errors.amount = parseAmount(form.amount, currency).error;
+
+  if (!String(form.payee ?? "").trim()) errors.payee = "أدخل اسم المستفيد";
+
+  const date = String(form.date ?? "").trim();
+  if (!date) errors.date = "أدخل تاريخ الشيك";
+  else if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayjs(date).isValid()) errors.date = "تاريخ الشيك غير صحيح";
+
+  return errors;
+}
+
+// First error message, or null when the form is printable
+export const firstValidationError = (errors) => Object.values(errors).find(Boolean) || null;
@@ -1,8 +1,39 @@
 "use client"
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import * as XLSX from "xlsx";
+import { flushSync } from "react-dom";
 import dayjs from "dayjs";
 import "dayjs/locale/ar"; // Arabic locale
+import { CURRENCIES, DEFAULT_CURRENCY, getCurrency } from "./lib/currencies";
+import { validateChequeForm } from "./lib/validation";
+import { buildChequeContent, fieldText, printBlocker } from "./lib/chequeContent";
+import ColumnMappingDialog from "./components/ColumnMappingDialog";
+import ImportReportDialog from "./components/ImportReportDialog";
+import BatchPrintPages from "./components/BatchPrintPages";
+import BatchPrintReport from "./components/BatchPrintReport";
+import BatchGrid from "./components/BatchGrid";
+import PayeeInput from "./components/PayeeInput";
+import PayeeDirectoryDialog from "./components/PayeeDirectoryDialog";
+import HistoryDialog from "./components/HistoryDialog";
+import ChequebookPanel from "./components/ChequebookPanel";
+import DuplicatePaymentDialog from "./components/DuplicatePaymentDialog";
+import ReportsDialog from "./components/ReportsDialog";
+import ReconciliationDialog from "./components/ReconciliationDialog";
+import AuditLogDialog from "./components/AuditLogDialog";
+import RejectedTemplatesDialog from "./components/RejectedTemplatesDialog";
+import { BATCH_FILE_ACCEPT, readBatchFile } from "./lib/batchImport";
+import { coerceDate } from "./lib/coerce";
+import { isUnmatchedBank, parseBankAliases, templateForRow } from "./lib/bankMatching";
+import { findPayee, newPayee, payeeTemplate } from "./lib/payees";
+import { chequeStatus, withStatus } from "./lib/chequeStatus";
+import { incrementSerial, nextChequeNumber, takeChequeNumbers } from "./lib/chequeNumbers";
+import { exportReportXlsx } from "./lib/reports";
+import { reconciliationSnapshot, sameStatement, withSnapshot } from "./lib/reconciliation";
+import { advanceAuditHead, appendAuditEntries, templateChanges, verifyAuditLog } from "./lib/auditLog";
+import { DEFAULT_DUPLICATE_WINDOW_DAYS, batchRowRecord, findDuplicatePayments } from "./lib/duplicates";
+import { DEFAULT_FIELDS, DIMENSION_LIMITS, TEMPLATE_SCHEMA_VERSION, parseTemplateFile, upgradeTemplates } from "./lib/templateSchema";
+import { EMPTY_CHEQUEBOOK, isEmptyBook, isLowBook, remainingLeaves, startNewChequebook } from "./lib/chequebooks";
+import { CALENDARS, DATE_DIGITS, DATE_FORMATS, DEFAULT_DATE_FORMAT, isDateBind } from "./lib/dateFormat";
+import { fieldWidthMM } from "./lib/textFit";
 
 
 /**
@@ -13,7 +44,7 @@ import "dayjs/locale/ar"; // Arabic locale
  * - Bank templates (multiple layouts) with drag-and-drop field positioning
  * - Upload a cheque background per template (PNG/JPG)
  * - Inputs: Payee (Arabic), Amount (number), Date, Memo
- * - Auto convert amount numbers → Arabic words
+ * - Auto convert amount numbers → Arabic words (and English for bilingual cheques)
  * - Live preview, print-ready (browser print)
  * - Save templates & cheques locally (localStorage)
  *
@@ -28,137 +59,19 @@ const LSK = {
   templates: "cheque.templates.v1",
   lastTemplateId: "cheque.lastTemplateId.v1",
   history: "cheque.history.v1",
+  columnMappings: "cheque.columnMappings.v1",
+  payees: "cheque.payees.v1",
+  duplicateWindowDays: "cheque.duplicateWindowDays.v1",
+  reconciliations: "cheque.reconciliations.v1",
+  // stored templates that failed migration or validation, kept for recovery
+  rejectedTemplates: "cheque.templates.rejected.v1",
+  auditLog: "cheque.auditLog.v1",
+  auditHead: "cheque.auditHead.v1",
+  operator: "cheque.operator.v1",
 };
 
-// Basic Arabic number words (Egyptian standard formal writing).
-// Supports integers up to 999,999,999. For larger/edge cases, extend as needed.
-function numberToArabicWords(n) {
-  n = Number(n);
-  if (!isFinite(n)) return "";
-  if (n === 0) return "صفر";
-  const ones = [
-    "",
-    "واحد",
-    "اثنان",
-    "ثلاثة",
-    "أربعة",
-    "خمسة",
-    "ستة",
-    "سبعة",
-    "ثمانية",
-    "تسعة",
-    "عشرة",
-    "أحد عشر",
-    "اثنا عشر",
-    "ثلاثة عشر",
-    "أربعة عشر",
-    "خمسة عشر",
-    "ستة عشر",
-    "سبعة عشر",
-    "ثمانية عشر",
-    "تسعة عشر",
-  ];
-  const tens = ["", "", "عشرون", "ثلاثون", "أربعون", "خمسون", "ستون", "سبعون", "ثمانون", "تسعون"];
-  const hundreds = ["", "مائة", "مائتان", "ثلاثمائة", "أربعمائة", "خمسمائة", "ستمائة", "سبعمائة", "ثمانمائة", "تسعمائة"];
-
-  function underThousand(num) {
-    let parts = [];
-    const h = Math.floor(num / 100);
-    const t = num % 100;
-    if (h) parts.push(hundreds[h]);
-    if (t) {
-      if (t < 20) {
-        parts.push(ones[t]);
-      } else {
-        const ten = Math.floor(t / 10);
-        const one = t % 10;
-        if (one) parts.push(`${ones[one]} و ${tens[ten]}`);
-        else parts.push(tens[ten]);
-      }
-    }
-    return parts.join(" و ");
-  }
-
-  const scales = [
-    { value: 1_000_000_000, sing: "مليار", dual: "ملياران", plural: "مليارات" },
-    { value: 1_000_000, sing: "مليون", dual: "مليونان", plural: "ملايين" },
-    { value: 1_000, sing: "ألف", dual: "ألفان", plural: "آلاف" },
-  ];
-
-  let remainder = n;
-  let words = [];
-  for (const { value, sing, dual, plural } of scales) {
-    if (remainder >= value) {
-      const q = Math.floor(remainder / value);
-      remainder = remainder % value;
-      let qWords = underThousand(q);
-      // Arabic pluralization nuance for counted nouns
-      let scaleWord = sing;
-      if (q === 2) scaleWord = dual;
-      else if (q >= 3 && q <= 10) scaleWord = plural;
-      else scaleWord = sing;
-
-      if (q === 1) {
-        words.push(scaleWord);
-      } else if (q === 2) {
-        words.push(scaleWord);
-      } else {
-        words.push(`${qWords} ${scaleWord}`);
-      }
-    }
-  }
-  if (remainder) words.push(underThousand(remainder));
-  return words.join(" و ");
-}
-
-function formatArabicCurrencyWords(amount, currencyMain = "جنيه", currencySub = "قرش") {
-  // Expect amount like 1234.56
-  const integer = Math.floor(Math.abs(amount));
-  const fraction = Math.round((Math.abs(amount) - integer) * 100);
-  const integerWords = numberToArabicWords(integer);
-  const fractionWords = fraction ? numberToArabicWords(fraction) : "";
-  let mainUnit = currencyMain;
-  let subUnit = currencySub;
-  // Simplified; in formal writing you may inflect units (جنيهاً/قرشاً)
-  return fraction
-    ? `${integerWords} ${mainUnit} و ${fractionWords} ${subUnit}`
-    : `${integerWords} ${mainUnit}`;
-}
-
-
-// Convert Western numerals (0123456789) to Arabic-Indic numerals (٠١٢٣٤٥٦٧٨٩)
-function toArabicNumerals(str) {
-  const arabicNumerals = ['٠', '١', '٢', '٣', '٤', '٥', '٦', '٧', '٨', '٩'];
-  const westernNumerals = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
-  
-  let result = str.toString();
-  for (let i = 0; i < westernNumerals.length; i++) {
-    result = result.replace(new RegExp(westernNumerals[i], 'g'), arabicNumerals[i]);
-  }
-  return result;
-}
-
-// Default fields used on most Egyptian cheques
-const DEFAULT_FIELDS = [
-  { id: "date", label: "التاريخ", bind: "date", x: 88, y: 3, fontSize: 14 },
-  { id: "payee", label: "إسم المستفيد", bind: "payee", x: 65, y: 26, fontSize: 18 },
-  { id: "amountNum", label: "المبلغ بالأرقام", bind: "amountNum", x: 98, y: 37, fontSize: 18 },
-  { id: "amountWords", label: "المبلغ كتابة", bind: "amountWords", x: 62, y: 45, fontSize: 14 },
-  { id: "amountWords2", label: "2المبلغ كتابة", bind: "amountWords2", x: 10, y: 45, fontSize: 14 },
-  { id: "memo", label: "الغرض/ملاحظات", bind: "memo", x: 10, y: 60, fontSize: 12 },
-  { id: "signature", label: "التوقيع", bind: "signature", x: 80, y: 80, fontSize: 12 },
-];
-
-function excelDateToJSDate(serial) {
-  const utc_days = Math.floor(serial - 25569);
-  const utc_value = utc_days * 86400; 
-  const date_info = new Date(utc_value * 1000);
-  return new Date(
-    date_info.getUTCFullYear(),
-    date_info.getUTCMonth(),
-    date_info.getUTCDate()
-  );
-}
+// Font the amount words are measured in (the page font; none during the server render)
+const bodyFontFamily = () => (typeof document !== "undefined" ? getComputedStyle(document.body).fontFamily : undefined);
 
 // Convert Western digits 0-9 → Arabic-Indic digits
 const toArabicNumbers = (str) => 
@@ -181,11 +94,36 @@ const SAMPLE_TEMPLATES = [
     dpi: 300,
     printOffsetX: 0,
     printOffsetY: 0,
+    currency: DEFAULT_CURRENCY,
+    dateFormat: DEFAULT_DATE_FORMAT,
+    dateDigits: "",
+    bankAliases: [],
+    chequebook: { ...EMPTY_CHEQUEBOOK },
+    usedChequebooks: [],
+    schemaVersion: TEMPLATE_SCHEMA_VERSION,
     isDefault: true, // Mark as default template
   }
 ];
 
-function useLocalStorage(key, initial) {
+// Templates that fail to load are added to LSK.rejectedTemplates for recovery,
+// keeping the ones set aside by earlier loads. Returns false when they could not be saved.
+function setAsideTemplates(rejected) {
+  let earlier = [];
+  try {
+    earlier = JSON.parse(localStorage.getItem(LSK.rejectedTemplates) || "[]");
+  } catch {}
+  if (!Array.isArray(earlier)) earlier = [earlier];
+  const kept = new Set(earlier.map(t => JSON.stringify(t)));
+  try {
+    localStorage.setItem(LSK.rejectedTemplates, JSON.stringify([...earlier, ...rejected.filter(t => !kept.has(JSON.stringify(t)))]));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// onRejected(errors, rejected, savedAside) is called for the templates key when stored templates are set aside
+function useLocalStorage(key, initial, onRejected) {
   const [state, setState] = useState(initial);
   const [isInitialized, setIsInitialized] = useState(false);
 
@@ -198,7 +136,12 @@ function useLocalStorage(key, initial) {
         // If this is templates, merge with default templates to ensure they're always available
         if (key === LSK.templates) {
           const defaultTemplates = initial.filter(t => t.isDefault);
-          const userTemplates = stored.filter(t => !t.isDefault);
+          // Older templates are upgraded; ones that cannot be are set aside instead of loaded
+          const { templates: userTemplates, errors } = upgradeTemplates(stored.filter(t => !t?.isDefault));
+          if (errors.length) {
+            const rejected = stored.filter(t => !t?.isDefault && !userTemplates.some(u => u.id === t?.id));
+            onRejected?.(errors, rejected, setAsideTemplates(rejected));
+          }
           const mergedTemplates = [...defaultTemplates, ...userTemplates];
           setState(mergedTemplates);
         } else {
@@ -235,16 +178,23 @@ export default function Dashboard() {
     setIsMounted(true);
   }, []);
   
-  const [templates, setTemplates] = useLocalStorage(LSK.templates, SAMPLE_TEMPLATES);
+  // Stored templates set aside on load: { errors, templates, savedAside }
+  const [rejectedTemplates, setRejectedTemplates] = useState(null);
+  const [templates, setTemplates] = useLocalStorage(
+    LSK.templates,
+    SAMPLE_TEMPLATES,
+    (errors, rejected, savedAside) => setRejectedTemplates({ errors, templates: rejected, savedAside })
+  );
   const [selectedTemplateId, setSelectedTemplateId] = useLocalStorage(LSK.lastTemplateId, templates?.[0]?.id || "banquemisr");
   const currentTemplate = useMemo(() => templates?.find(t => t.id === selectedTemplateId) || templates[0], [templates, selectedTemplateId]);
 
-  const [form, setForm] = useState({ payee: " ", amount: " ", date: " ", memo: " ", signature: " " });
+  // currency: "" means "use the template's currency"
+  const [form, setForm] = useState({ payee: "", amount: "", date: "", memo: "", signature: "", currency: "" });
   
-  // Initialize date after mounting to prevent hydration mismatch
+  // Initialize date after mounting to prevent hydration mismatch (ISO, as the date input expects)
   useEffect(() => {
     if (isMounted && !form.date) {
-      setForm(prev => ({ ...prev, date: new Date().toLocaleDateString("ar-EG") }));
+      setForm(prev => ({ ...prev, date: dayjs().format("YYYY-MM-DD") }));
     }
   }, [isMounted, form.date]);
   
@@ -272,36 +222,181 @@ export default function Dashboard() {
 //excel state
 const [useExcelRows, setUseExcelRows] = useState([])
 const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
+// sheet waiting for its column mapping: { fileName, format, rows }
+const [importSheet, setImportSheet] = useState(null)
+// mapped rows waiting in the validation report
+const [importReview, setImportReview] = useState(null)
+// pages being printed by printBatch, and the report shown afterwards
+const [batchJobs, setBatchJobs] = useState([])
+const [batchReport, setBatchReport] = useState(null)
+const [showBatchGrid, setShowBatchGrid] = useState(false)
+const [payees, setPayees] = useLocalStorage(LSK.payees, [])
+const [showPayeeDirectory, setShowPayeeDirectory] = useState(false)
+const [showHistory, setShowHistory] = useState(false)
+const [showReports, setShowReports] = useState(false)
+const [showReconciliation, setShowReconciliation] = useState(false)
+// saved bank statement reconciliations, one per statement period, newest first
+const [reconciliations, setReconciliations] = useLocalStorage(LSK.reconciliations, [])
+// cheques matching earlier payments, waiting for a confirmed reason: { items, proceed(reason) }
+const [duplicateCheck, setDuplicateCheck] = useState(null)
+const [duplicateWindowDays, setDuplicateWindowDays] = useLocalStorage(LSK.duplicateWindowDays, DEFAULT_DUPLICATE_WINDOW_DAYS)
+const [columnMappings, setColumnMappings] = useLocalStorage(LSK.columnMappings, [])
+// the loaded batch row names a bank that no template matches
+const currentRowUnmatched = useExcelRows.length > 0 && isUnmatchedBank(useExcelRows[useCurruntRowIndex], templates)
+
+  // Amount in digits and words for the preview; parsedAmount is { value, text, error }
+  const content = useMemo(
+    () => buildChequeContent(form, currentTemplate, { useArabicNumerals, fontFamily: bodyFontFamily() }),
+    [form, currentTemplate, useArabicNumerals]
+  );
+  const { currency, parsedAmount, amountNum, amountWords, amountWordsEn, amountWordsLines } = content;
+  // Number the next print takes from the template's chequebook ("" without one)
+  const nextNumber = nextChequeNumber(currentTemplate);
 
-  const amountNum = useMemo(() => {
-    const amount = (form.amount || "").toString();
-    return amount && useArabicNumerals ? toArabicNumerals(amount) : amount;
-  }, [form.amount, useArabicNumerals]);
-  
-  const amountWords = useMemo(() => {
-    const n = Number(form.amount);
-    if (isNaN(n)) return "";
-    return formatArabicCurrencyWords(n, "جنيه مصري", "قرش");
-  }, [form.amount]);
+  const formErrors = useMemo(() => validateChequeForm(form, currency), [form, currency]);
+  // Field errors are shown once the user has typed something or tried to print
+  const [showAllErrors, setShowAllErrors] = useState(false);
 
-  let amountWords2 = "";
   const chequeRef = useRef(null);
 
   // mm to px helper (approx using 96dpi by default for screen; print will scale)
   const pxPerMM = 96 / 25.4; // screen render only
 
   // Save to history (local only)
-  const [, setHistory] = useLocalStorage(LSK.history, []);
-  const saveCheque = () => {
+  const [history, setHistory] = useLocalStorage(LSK.history, []);
+  // duplicateReason: why a suspected duplicate payment was printed anyway
+  const historyRecord = (chequeForm, template, chequeContent, chequeNumber = "", duplicateReason = "") => {
+    const at = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      templateId: template.id,
+      chequeNumber,
+      account: template.chequebook?.account || "",
+      form: { ...chequeForm, amount: chequeContent.parsedAmount.text, currency: chequeContent.currency.code, amountWords: chequeContent.amountWords },
+      at,
+      status: "printed",
+      statusHistory: [{ status: "printed", at, note: duplicateReason ? `دفع مكرر مؤكد: ${duplicateReason}` : "" }],
+      ...(duplicateReason && { duplicateReason }),
+    };
+  };
+
+  // Earlier payments this cheque likely repeats (see lib/duplicates.js)
+  const duplicateCandidate = (chequeForm, chequeContent) =>
+    ({ payee: chequeForm.payee, amount: chequeContent.parsedAmount.text, currency: chequeContent.currency.code, date: chequeForm.date });
+  // earlier: batch rows ahead of this one in the same print job (see batchRowRecord)
+  const duplicatePayments = (chequeForm, chequeContent, earlier = []) => findDuplicatePayments(
+    duplicateCandidate(chequeForm, chequeContent),
+    [...history, ...earlier],
+    Number(duplicateWindowDays) || 0
+  );
+
+  // Audit log: every entry is chained to the one before it (see lib/auditLog.js)
+  const [auditLog, setAuditLog] = useLocalStorage(LSK.auditLog, []);
+  const [auditHead, setAuditHead] = useLocalStorage(LSK.auditHead, null);
+  const [operator, setOperator] = useLocalStorage(LSK.operator, "");
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  // history record opened for reprinting; the next print is logged as its reprint
+  const [reprintOf, setReprintOf] = useState(null);
+
+  const logAudit = (entries) => {
+    setAuditLog(prev => appendAuditEntries(prev, entries.map(entry => ({ ...entry, actor: operator }))));
+  };
+
+  const recordAuditDetails = (record) => ({
+    recordId: record.id,
+    chequeNumber: record.chequeNumber,
+    payee: record.form?.payee,
+    amount: record.form?.amount,
+    currency: record.form?.currency,
+    date: record.form?.date,
+    templateId: record.templateId,
+    duplicateReason: record.duplicateReason,
+  });
+
+  const statusAuditEntry = (record, status, note) => ({
+    action: ["spoiled", "cancelled"].includes(status) ? "void" : "statusChange",
+    details: { recordId: record.id, chequeNumber: record.chequeNumber, payee: record.form?.payee, from: chequeStatus(record), to: status, note },
+  });
+
+  useEffect(() => {
+    if (!isMounted) return;
+    const next = advanceAuditHead(auditHead, auditLog);
+    if (next !== auditHead) setAuditHead(next);
+  }, [isMounted, auditLog]);
+
+  // Template edits are logged once they settle, so dragging a field is one entry;
+  // edits still pending when the page is closed or left are logged right then
+  const auditedTemplates = useRef(null);
+  const latestAuditState = useRef(null);
+  latestAuditState.current = { templates, history, auditLog, auditHead, operator };
+
+  // Entries for the template changes since the last logged state (none before the first render)
+  const pendingTemplateAudit = () => {
+    const { templates, history, operator } = latestAuditState.current;
+    if (!auditedTemplates.current) return [];
+    const changes = templateChanges(auditedTemplates.current, templates, history);
+    auditedTemplates.current = templates;
+    return changes.map(entry => ({ ...entry, actor: operator }));
+  };
+
+  // There is no render left to persist state after unload, so the log and its head are written directly
+  const persistAuditLog = (log) => {
+    const head = advanceAuditHead(latestAuditState.current.auditHead, log);
+    try {
+      localStorage.setItem(LSK.auditLog, JSON.stringify(log));
+      localStorage.setItem(LSK.auditHead, JSON.stringify(head));
+    } catch {}
+    return head;
+  };
+
+  useEffect(() => {
+    if (!isMounted) return;
+    if (!auditedTemplates.current) {
+      auditedTemplates.current = templates;
+      return;
+    }
+    const timer = setTimeout(() => {
+      const entries = pendingTemplateAudit();
+      if (entries.length) setAuditLog(prev => appendAuditEntries(prev, entries));
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [isMounted, templates]);
+
+  useEffect(() => {
+    // Page left: applied right away on top of entries logged in the same tick, and
+    // kept in state too for a page restored from the back/forward cache
+    const flush = () => {
+      const entries = pendingTemplateAudit();
+      if (!entries.length) return;
+      let log = null;
+      flushSync(() => setAuditLog(prev => (log = appendAuditEntries(prev, entries))));
+      if (log) setAuditHead(persistAuditLog(log));
+    };
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      // Unmounted: updates still queued for this component are dropped, so the last rendered log is the base
+      const entries = pendingTemplateAudit();
+      if (entries.length) persistAuditLog(appendAuditEntries(latestAuditState.current.auditLog, entries));
+    };
+  }, []);
+
+  // Lifecycle change for one or more history records
+  const updateChequeStatus = (ids, status, note) => {
+    const selected = new Set(ids);
+    const at = new Date().toISOString();
+    logAudit(history.filter(record => selected.has(record.id)).map(record => statusAuditEntry(record, status, note)));
+    setHistory(prev => prev.map(record => (selected.has(record.id) ? withStatus(record, status, note, at) : record)));
+    showToast(`تم تحديث حالة ${ids.length} شيك`, 'success');
+  };
+
+  // action: "save" from the save button, "print" or "reprint" when printing
+  const saveCheque = (chequeNumber = "", duplicateReason = "", action = "save") => {
     setButtonLoading('save', true);
     try {
-      const record = {
-        id: crypto.randomUUID(),
-        templateId: currentTemplate.id,
-        form: { ...form, amountWords },
-        at: new Date().toISOString(),
-      };
+      const record = historyRecord(form, currentTemplate, content, chequeNumber, duplicateReason);
       setHistory(prev => [record, ...prev]);
+      logAudit([{ action, details: { ...recordAuditDetails(record), reprintOf: action === "reprint" ? reprintOf : undefined } }]);
       showToast('تم حفظ الشيك في السجل بنجاح', 'success');
     } catch (error) {
       showToast('فشل في حفظ الشيك', 'error');
@@ -310,16 +405,66 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
     }
   };
 
+  const updateChequebook = (templateId, patch) => {
+    setTemplates(prev => prev.map(t => (t.id === templateId ? { ...t, chequebook: { ...t.chequebook, ...patch } } : t)));
+  };
+
+  // Current book goes to the used-books register; the fields are cleared for the next one
+  const startNewBook = () => {
+    if (currentTemplate.chequebook?.startSerial && !confirm("إغلاق الدفتر الحالي ونقله إلى سجل الدفاتر المستخدمة؟")) return;
+    updateTemplate(t => startNewChequebook(t));
+  };
+
+  // A leaf torn or jammed before printing: its number is used up and recorded as spoiled
+  const spoilLeaf = () => {
+    const [chequeNumber] = takeChequeNumbers(currentTemplate, 1).numbers;
+    if (!chequeNumber) return;
+    const note = prompt(`سبب إتلاف الورقة رقم ${chequeNumber}:`, "");
+    if (note === null) return;
+    const at = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      templateId: currentTemplate.id,
+      chequeNumber,
+      account: currentTemplate.chequebook?.account || "",
+      form: { payee: "", amount: "", date: "", memo: "" },
+      at,
+      status: "spoiled",
+      statusHistory: [{ status: "spoiled", at, note: note.trim() }],
+    };
+    setHistory(prev => [record, ...prev]);
+    logAudit([{ action: "void", details: { recordId: record.id, chequeNumber, to: "spoiled", note: note.trim() } }]);
+    updateChequebook(currentTemplate.id, { nextSerial: incrementSerial(chequeNumber) });
+    showToast(`تم تسجيل الورقة ${chequeNumber} كتالفة`, 'info');
+  };
+
+  // Load a saved cheque into the form: "reprint" keeps its date, "duplicate" is dated today
+  const openHistoryRecord = (record, mode) => {
+    const saved = record.form || {};
+    if (templates.some(t => t.id === record.templateId)) setSelectedTemplateId(record.templateId);
+    setForm(prev => ({
+      ...prev,
+      payee: saved.payee ?? "",
+      amount: saved.amount ?? "",
+      date: mode === "duplicate" ? dayjs().format("YYYY-MM-DD") : saved.date ?? "",
+      memo: saved.memo ?? "",
+      signature: saved.signature ?? "",
+      currency: saved.currency ?? "",
+    }));
+    setReprintOf(mode === "reprint" ? record.id : null);
+    setShowHistory(false);
+    showToast(mode === "duplicate" ? 'تم نسخ الشيك إلى النموذج' : 'تم فتح الشيك لإعادة الطباعة', 'info');
+  };
+
   const updateTemplate = (updater) => {
     setTemplates(prev => prev.map(t => (t.id === currentTemplate.id ? updater(t) : t)));
   };
 
   const validateAndUpdateDimension = (field, value) => {
     const numValue = Number(value || 0);
-    // Reasonable cheque size limits (in mm)
-    const minWidth = 100, maxWidth = 250;
-    const minHeight = 50, maxHeight = 150;
-    
+    const [minWidth, maxWidth] = DIMENSION_LIMITS.widthMM;
+    const [minHeight, maxHeight] = DIMENSION_LIMITS.heightMM;
+
     if (field === 'widthMM') {
       const validWidth = Math.max(minWidth, Math.min(maxWidth, numValue));
       updateTemplate(t => ({ ...t, widthMM: validWidth }));
@@ -359,6 +504,13 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
         dpi: 300,
         printOffsetX: 0, // Print alignment offset in mm
         printOffsetY: 0,
+        currency: DEFAULT_CURRENCY,
+        dateFormat: DEFAULT_DATE_FORMAT,
+        dateDigits: "",
+        bankAliases: [],
+        chequebook: { ...EMPTY_CHEQUEBOOK },
+        usedChequebooks: [],
+        schemaVersion: TEMPLATE_SCHEMA_VERSION,
       };
       setTemplates(prev => [...prev, nt]);
       setSelectedTemplateId(id);
@@ -404,62 +556,127 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
   };
 
   //excel fucntions
+  // Reads an XLSX/XLS/ODS/CSV/JSON batch file and opens the column mapping step
   const handleExcelImport = async (e) => {
-    console.log("excel func1")
     const file = e.target.files?.[0];
-    if (!file) 
-    {console.log("no excel file");
+    if (!file) return;
+    try {
+      const { rows, format } = await readBatchFile(file);
+      if (!rows.length) {
+        showToast('الملف لا يحتوي على بيانات', 'error');
+        return;
+      }
+      setImportSheet({ fileName: file.name, format, rows });
+    } catch (error) {
+      showToast(error?.message || 'فشل في قراءة الملف', 'error');
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  // The row's template column, else the template matching its bank, else the payee's default
+  const rowTemplate = (row) => templateForRow(row, templates) || payeeTemplate(findPayee(row.name, payees), templates);
+
+  const autoSelectBankTemplate = (row) => {
+    const tpl = rowTemplate(row);
+    if (tpl) setSelectedTemplateId(tpl.id);
+  };
+
+  // Form values of a batch row; directory payees are printed under their legal name
+  const rowFields = (row) => {
+    const payee = findPayee(row.name, payees);
+    return {
+      payee: payee ? payee.name : row.name ?? "",
+      amount: row.amount ?? "",
+      // Rows are normalized by the import report; coercion keeps raw cells usable too
+      date: row.date ? coerceDate(row.date) || String(row.date) : "",
+      memo: row.memo || payee?.memo || "",
+      bank: row.bank,
+      currency: "",
+    };
+  };
+
+  // Autocomplete pick: legal name, default memo (unless one is typed) and default template
+  const applyPayee = (payee) => {
+    setForm(prev => ({ ...prev, payee: payee.name, memo: prev.memo || payee.memo || "" }));
+    const tpl = payeeTemplate(payee, templates);
+    if (tpl) setSelectedTemplateId(tpl.id);
+  };
+
+  const addPayeeToDirectory = (name) => {
+    if (!name.trim()) {
+      showToast('أدخل اسم المستفيد أولاً', 'error');
       return;
     }
-     
-    let amountWordsEx = "";
-    const data = await file.arrayBuffer();
-    const workbook = XLSX.read(data);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const json = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-    console.log(json)
-    // Skip header row
-    const values = json.slice(1).map((row) => ({
-      name: row[0],
-      amount: row[1],
-      date: row[2],
-      bank: row[3],
-    }));
-    console.log("values",values)
-    setUseExcelRows(values);
-    setUseCurruntRowIndex(0);
-    
-    if (values.length > 0) {
-      // Auto-select bank template based on bank name from Excel
-      const firstRow = values[0];
-      // autoSelectBankTemplate(firstRow.bank);
-      
-      // Fill form with first row data
-      setForm({
-        payee: firstRow.name,
-        amount: firstRow.amount,
-        date: firstRow.date,
-        bank: firstRow.bank,
-      });
+    if (findPayee(name, payees)) {
+      showToast('المستفيد موجود في الدليل', 'info');
+      return;
     }
+    setPayees(prev => [...prev, { ...newPayee(name), memo: form.memo || "" }]);
+    showToast('تمت إضافة المستفيد إلى الدليل', 'success');
+  };
+
+  // Names from history and the loaded batch, offered for the directory
+  const payeeCandidateNames = useMemo(
+    () => [...history.map(h => h.form?.payee), ...useExcelRows.map(r => r.name)].filter(Boolean),
+    [history, useExcelRows]
+  );
+
+  // Fill the form from a batch row
+  const loadRow = (row) => {
+    if (!row) return;
+    autoSelectBankTemplate(row);
+    setForm(prev => ({ ...prev, ...rowFields(row) }));
+  };
+
+  // Mapped rows go through the validation report before navigation starts
+  const reviewImportedRows = (rows) => {
+    setImportSheet(null);
+    setImportReview(rows);
+  };
+
+  const applyImportedRows = (rows) => {
+    setImportReview(null);
+    setUseExcelRows(rows);
+    setUseCurruntRowIndex(0);
+    setShowBatchGrid(true);
+    loadRow(rows[0]);
+    showToast(`تم استيراد ${rows.length} صف`, 'success');
+  };
+
+  const saveColumnMapping = (mapping) => {
+    setColumnMappings(prev => [...prev.filter(m => m.name !== mapping.name), mapping]);
+    showToast('تم حفظ ربط الأعمدة', 'success');
+  };
+
+  // Grid edits; the row in the preview is reloaded so the cheque follows the edit
+  const updateBatchRow = (index, patch) => {
+    setUseExcelRows(prev => prev.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+    if (index === useCurruntRowIndex) loadRow({ ...useExcelRows[index], ...patch });
+  };
+
+  // Picking a template for a row whose bank matched none records it as the row's template
+  const selectTemplate = (id) => {
+    if (currentRowUnmatched) updateBatchRow(useCurruntRowIndex, { template: id });
+    else setSelectedTemplateId(id);
+  };
+
+  const selectBatchRow = (index) => {
+    setUseCurruntRowIndex(index);
+    loadRow(useExcelRows[index]);
+  };
+
+  // order lists the old indexes in their new order; the loaded row keeps its place in the preview
+  const reorderBatchRows = (order) => {
+    setUseExcelRows(prev => order.map(i => prev[i]));
+    setUseCurruntRowIndex(order.indexOf(useCurruntRowIndex));
   };
 
   const handleNext = () => {
     if (useCurruntRowIndex < useExcelRows.length - 1) {
       const newIndex = useCurruntRowIndex + 1;
       setUseCurruntRowIndex(newIndex);
-      const row = useExcelRows[newIndex];
-      
-      // Auto-select bank template for this row
-      // autoSelectBankTemplate(row.bank);
-      
-      setForm({
-        payee: row.name,
-        amount: row.amount,
-        date: row.date,
-        bank: row.bank,
-      });
-      console.log("form",form)
+      loadRow(useExcelRows[newIndex]);
     }
   };
 
@@ -467,17 +684,7 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
     if (useCurruntRowIndex > 0) {
       const newIndex = useCurruntRowIndex - 1;
       setUseCurruntRowIndex(newIndex);
-      const row = useExcelRows[newIndex];
-      
-      // Auto-select bank template for this row
-      // autoSelectBankTemplate(row.bank);
-      
-      setForm({
-        payee: row.name,
-        amount: row.amount,
-        date: row.date,
-        bank: row.bank,
-      });
+      loadRow(useExcelRows[newIndex]);
     }
   };
 
@@ -521,6 +728,27 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
     }
   };
 
+  // Templates set aside under LSK.rejectedTemplates, with this load's even when they could not be kept there
+  const exportRejectedTemplates = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(LSK.rejectedTemplates) || "[]");
+      const kept = new Set(stored.map(t => JSON.stringify(t)));
+      const data = [...stored, ...(rejectedTemplates?.templates || []).filter(t => !kept.has(JSON.stringify(t)))];
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `rejected-templates-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      showToast('تم تصدير القوالب المستبعدة', 'success');
+    } catch (error) {
+      showToast('فشل في تصدير القوالب المستبعدة', 'error');
+    }
+  };
+
   // Import template
   const importTemplate = (event) => {
     const file = event.target.files?.[0];
@@ -533,12 +761,18 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const templateData = JSON.parse(e.target.result);
-        
-        // Handle both single template and array of templates
-        if (Array.isArray(templateData)) {
+        let templateData;
+        try {
+          templateData = JSON.parse(e.target.result);
+        } catch {
+          throw new Error('الملف ليس JSON صالحاً');
+        }
+        // Older layouts are migrated; invalid templates reject the whole file
+        const parsed = parseTemplateFile(templateData);
+
+        if (parsed.length > 1) {
           // Multiple templates
-          const importedTemplates = templateData.map(template => ({
+          const importedTemplates = parsed.map(template => ({
             ...template,
             id: `imported_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             name: `${template.name} (مستورد)`,
@@ -550,9 +784,9 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
         } else {
           // Single template
           const newTemplate = { 
-            ...templateData, 
+            ...parsed[0], 
             id: `imported_${Date.now()}`,
-            name: `${templateData.name} (مستورد)`,
+            name: `${parsed[0].name} (مستورد)`,
             isDefault: false // Imported templates are not default
           };
           setTemplates(prev => [...prev, newTemplate]);
@@ -560,7 +794,7 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
           showToast('تم استيراد القالب بنجاح', 'success');
         }
       } catch (error) {
-        showToast('فشل في استيراد القالب - تأكد من صحة الملف', 'error');
+        showToast(`فشل في استيراد القالب: ${error.message}`, 'error');
         setSelectedTemplateFile(null);
       }
     };
@@ -627,9 +861,63 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
     }));
   };
 
-  const printCheque = () => {
+  // Switching to/from separate date boxes swaps which Gregorian date fields are shown
+  const applyDateFormat = (dateFormat) => {
+    const split = dateFormat === "split";
+    const isGregorianDate = (f) => isDateBind(f.bind) && f.calendar !== "hijri";
+    updateTemplate(t => {
+      const missing = DEFAULT_FIELDS.filter(d => isGregorianDate(d) && !t.fields.some(f => f.id === d.id));
+      const fields = [...t.fields, ...missing.map(d => ({ ...d }))].map(f =>
+        isGregorianDate(f) ? { ...f, hidden: f.bind === "date" ? split : !split } : f
+      );
+      return { ...t, dateFormat, fields };
+    });
+  };
+
+  // Show/hide a default field on the current template, adding it if the template predates it
+  const toggleFieldVisibility = (id) => {
+    const existing = currentTemplate.fields.find(f => f.id === id);
+    if (existing) {
+      updateField(id, { hidden: !existing.hidden });
+      return;
+    }
+    const def = DEFAULT_FIELDS.find(f => f.id === id);
+    if (def) updateTemplate(t => ({ ...t, fields: [...t.fields, { ...def, hidden: false }] }));
+  };
+
+  const printCheque = (duplicateReason = "") => {
+    // The previous row's template would print this row on the wrong cheque layout
+    if (currentRowUnmatched) {
+      showToast(`لا يوجد قالب لبنك ${useExcelRows[useCurruntRowIndex].bank} - اختر القالب قبل الطباعة`, 'error');
+      return;
+    }
+    const error = printBlocker(form, content);
+    if (error) {
+      setShowAllErrors(true);
+      showToast(error, 'error');
+      return;
+    }
+    const matches = duplicatePayments(form, content);
+    if (matches.length && !duplicateReason) {
+      setDuplicateCheck({
+        items: [{ key: "current", payee: form.payee, amount: parsedAmount.text, currency: currency.code, date: form.date, matches }],
+        proceed: (reason) => printCheque(reason),
+      });
+      return;
+    }
+    const { numbers, nextSerial } = takeChequeNumbers(currentTemplate, 1);
+    if (numbers[0] === null) {
+      showToast('انتهت أوراق دفتر الشيكات لهذا القالب - ابدأ دفتراً جديداً', 'error');
+      return;
+    }
     setButtonLoading('print', true);
-    saveCheque();
+    saveCheque(numbers[0], matches.length ? duplicateReason : "", reprintOf ? "reprint" : "print");
+    setReprintOf(null);
+    // A loaded batch row counts as printed in the batch grid
+    if (useExcelRows.length > 0) {
+      const at = new Date().toISOString();
+      setUseExcelRows(prev => prev.map((row, i) => (i === useCurruntRowIndex ? { ...row, printedAt: at } : row)));
+    }
     showToast('جاري تحضير الطباعة...', 'info');
     
     // Ensure the cheque is fully rendered before printing
@@ -751,6 +1039,9 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
       document.head.appendChild(style);
       
       window.print();
+
+      // Advance the chequebook only now: the preview had to keep showing the printed number
+      if (nextSerial) updateChequebook(currentTemplate.id, { nextSerial });
       
       // Clean up after a delay
       setTimeout(() => {
@@ -763,6 +1054,186 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
     }, 100);
   };
 
+  // Prints every included batch row (rows not marked excluded) as one print job,
+  // each on a page of its own template's size and offsets
+  // duplicateReason is set when printing again after the duplicate payment warning
+  const printBatch = (duplicateReason = "") => {
+    const candidates = useExcelRows.map((row, index) => ({ row, index })).filter(({ row }) => !row.excluded);
+    if (!candidates.length) {
+      showToast('لا توجد صفوف محددة للطباعة', 'error');
+      return;
+    }
+    if (!duplicateReason && !confirm(`طباعة ${candidates.length} شيك في مهمة طباعة واحدة؟`)) return;
+
+    const jobs = [];
+    const skipped = [];
+    const pageNames = new Map(); // template id → named @page
+    for (const { row, index } of candidates) {
+      // Rows without a bank print on the current template; an unknown bank needs a template picked in the grid
+      if (isUnmatchedBank(row, templates)) {
+        skipped.push({ index, payee: rowFields(row).payee, reason: `لا يوجد قالب لبنك ${row.bank} - اختر قالباً للصف في جدول الدفعة` });
+        continue;
+      }
+      const template = rowTemplate(row) || currentTemplate;
+      const chequeForm = { ...form, ...rowFields(row) };
+      const chequeContent = buildChequeContent(chequeForm, template, { useArabicNumerals, fontFamily: bodyFontFamily() });
+      const reason = printBlocker(chequeForm, chequeContent);
+      if (reason) {
+        skipped.push({ index, payee: chequeForm.payee, reason });
+        continue;
+      }
+      if (!pageNames.has(template.id)) pageNames.set(template.id, `batch-page-${pageNames.size}`);
+      const earlier = jobs.map(job => batchRowRecord(duplicateCandidate(job.form, job.content), job.index, job.template.id));
+      const matches = duplicatePayments(chequeForm, chequeContent, earlier);
+      jobs.push({ key: `${index}`, index, template, form: chequeForm, content: chequeContent, pageName: pageNames.get(template.id), matches });
+    }
+    if (!jobs.length) {
+      setBatchReport({ printed: [], skipped });
+      return;
+    }
+    const suspected = jobs.filter(job => job.matches.length);
+    if (suspected.length && !duplicateReason) {
+      setDuplicateCheck({
+        items: suspected.map(job => ({ key: job.key, payee: job.form.payee, amount: job.content.parsedAmount.text, currency: job.content.currency.code, date: job.form.date, matches: job.matches })),
+        proceed: (reason) => printBatch(reason),
+      });
+      return;
+    }
+
+    // Consecutive cheque numbers per template, in print order; rows past a book's last leaf are skipped
+    const nextSerials = new Map();
+    for (const template of new Map(jobs.map(job => [job.template.id, job.template])).values()) {
+      const templateJobs = jobs.filter(job => job.template.id === template.id);
+      const { numbers, nextSerial } = takeChequeNumbers(template, templateJobs.length);
+      templateJobs.forEach((job, i) => { job.form.chequeNumber = numbers[i]; });
+      if (nextSerial) nextSerials.set(template.id, nextSerial);
+    }
+    for (const job of jobs.filter(j => j.form.chequeNumber === null)) {
+      skipped.push({ index: job.index, payee: job.form.payee, reason: `لا توجد أوراق متبقية في دفتر شيكات القالب ${job.template.name}` });
+      jobs.splice(jobs.indexOf(job), 1);
+    }
+    if (!jobs.length) {
+      setBatchReport({ printed: [], skipped });
+      return;
+    }
+
+    setButtonLoading('batchPrint', true);
+    setBatchJobs(jobs);
+    showToast('جاري تحضير طباعة الدفعة...', 'info');
+
+    // Let the pages render before printing
+    setTimeout(() => {
+      const pageRules = jobs
+        .filter((job, i) => jobs.findIndex(j => j.pageName === job.pageName) === i)
+        .map(job => `
+          @page ${job.pageName} { size: ${job.template.widthMM}mm ${job.template.heightMM}mm; margin: 0; }
+          .${job.pageName} { page: ${job.pageName}; }`)
+        .join("");
+      const style = document.createElement('style');
+      style.textContent = `
+        @media print {
+          * {
+            -webkit-print-color-adjust: exact !important;
+            print-color-adjust: exact !important;
+          }
+          @page { size: ${jobs[0].template.widthMM}mm ${jobs[0].template.heightMM}mm; margin: 0; }
+          ${pageRules}
+          body { margin: 0; padding: 0; background: white !important; }
+          header, main { display: none !important; }
+        }
+      `;
+      document.head.appendChild(style);
+
+      window.print();
+
+      const at = new Date().toISOString();
+      const printedIndexes = new Set(jobs.map(job => job.index));
+      const records = jobs.map(job => historyRecord(job.form, job.template, job.content, job.form.chequeNumber, job.matches.length ? duplicateReason : ""));
+      setHistory(prev => [...[...records].reverse(), ...prev]);
+      logAudit(records.map(record => ({ action: "print", details: { ...recordAuditDetails(record), batch: true } })));
+      nextSerials.forEach((nextSerial, templateId) => updateChequebook(templateId, { nextSerial }));
+      setUseExcelRows(prev => prev.map((row, i) => (printedIndexes.has(i) ? { ...row, printedAt: at } : row)));
+      setBatchReport({
+        printed: jobs.map(job => ({ index: job.index, payee: job.form.payee, amount: job.content.parsedAmount.text, templateName: job.template.name, chequeNumber: job.form.chequeNumber })),
+        skipped,
+      });
+
+      setTimeout(() => {
+        if (document.head.contains(style)) {
+          document.head.removeChild(style);
+        }
+        setBatchJobs([]);
+        setButtonLoading('batchPrint', false);
+      }, 1000);
+    }, 100);
+  };
+
+  // Matched cheques become cleared (noting the statement line) and the period's snapshot is saved
+  const applyReconciliation = (result, fileName) => {
+    const { from, to } = result.period;
+    if (reconciliations.some(s => sameStatement(s, result))
+      && !confirm(`توجد تسوية محفوظة لهذا الحساب للفترة ${from} - ${to}. استبدالها؟`)) return;
+    const at = new Date().toISOString();
+    const toClear = result.matches.filter(m => chequeStatus(m.record) !== "cleared");
+    const lineOf = new Map(toClear.map(m => [m.record.id, m.line]));
+    logAudit(toClear.map(m => statusAuditEntry(m.record, "cleared", `كشف حساب ${fileName} - سطر ${m.line.line}`)));
+    setHistory(prev => prev.map(r => (lineOf.has(r.id) ? withStatus(r, "cleared", `كشف حساب ${fileName} - سطر ${lineOf.get(r.id).line}`, at) : r)));
+    setReconciliations(prev => withSnapshot(prev, reconciliationSnapshot(result, fileName, at)));
+    showToast(`تم حفظ التسوية وصرف ${lineOf.size} شيك`, 'success');
+  };
+
+  // The full chain with its head, so a reviewer can recompute every hash
+  const exportAuditLog = () => {
+    try {
+      const data = JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        head: auditHead,
+        issues: verifyAuditLog(auditLog, auditHead),
+        entries: auditLog,
+      }, null, 2);
+      const blob = new Blob([data], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `audit-log-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      showToast('تم تصدير سجل التدقيق بنجاح', 'success');
+    } catch (error) {
+      showToast('فشل في تصدير سجل التدقيق', 'error');
+    }
+  };
+
+  const exportReport = (report) => {
+    try {
+      exportReportXlsx(report, templates, `cheque-report-${report.groupBy}-${new Date().toISOString().split('T')[0]}.xlsx`);
+      showToast('تم تصدير التقرير بنجاح', 'success');
+    } catch (error) {
+      showToast('فشل في تصدير التقرير', 'error');
+    }
+  };
+
+  // Prints the report page of the reports dialog on A4; "Save as PDF" in the print dialog gives the PDF
+  const printReport = () => {
+    const style = document.createElement('style');
+    style.textContent = `
+      @media print {
+        @page { size: A4 portrait; margin: 12mm; }
+        body { margin: 0; padding: 0; background: white !important; }
+        header, main, .batch-print { display: none !important; }
+      }
+    `;
+    document.head.appendChild(style);
+    window.print();
+    setTimeout(() => {
+      if (document.head.contains(style)) {
+        document.head.removeChild(style);
+      }
+    }, 1000);
+  };
+
   // Show loading state until hydrated
   if (!isMounted) {
     return (
@@ -798,6 +1269,30 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
             <button className={`px-3 py-1.5 rounded-2xl text-sm border transition-colors ${editMode ? "bg-amber-400 border-amber-300 text-amber-900" : "bg-white/10 border-white/20 text-white hover:bg-white/20"}`} onClick={() => setEditMode(v => !v)}>
               {editMode ? "وضع تعديل التخطيط: مفعل" : "وضع تعديل التخطيط"}
             </button>
+            <button 
+              className="px-3 py-1.5 rounded-2xl text-sm border bg-white/10 border-white/20 text-white hover:bg-white/20 transition-colors" 
+              onClick={() => setShowHistory(true)}
+            >
+              🗂️ السجل
+            </button>
+            <button 
+              className="px-3 py-1.5 rounded-2xl text-sm border bg-white/10 border-white/20 text-white hover:bg-white/20 transition-colors" 
+              onClick={() => setShowReports(true)}
+            >
+              📈 التقارير
+            </button>
+            <button 
+              className="px-3 py-1.5 rounded-2xl text-sm border bg-white/10 border-white/20 text-white hover:bg-white/20 transition-colors" 
+              onClick={() => setShowReconciliation(true)}
+            >
+              🏦 التسوية البنكية
+            </button>
+            <button 
+              className="px-3 py-1.5 rounded-2xl text-sm border bg-white/10 border-white/20 text-white hover:bg-white/20 transition-colors" 
+              onClick={() => setShowAuditLog(true)}
+            >
+              🔒 سجل التدقيق
+            </button>
             <button 
               className="px-3 py-1.5 rounded-2xl text-sm border bg-white/10 border-white/20 text-white hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed transition-colors" 
               onClick={addTemplate}
@@ -815,10 +1310,17 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
             </button>
             <button 
               className="px-3 py-1.5 rounded-2xl text-sm border bg-white text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium" 
+              onClick={() => setShowBatchGrid(v => !v)}
               disabled={useExcelRows.length < 1}
+              title="عرض/إخفاء جدول صفوف الدفعة"
             >
               {useExcelRows.length > 0 ? `${useCurruntRowIndex + 1} / ${useExcelRows.length}` : '0 / 0'}
             </button>
+            {currentRowUnmatched && (
+              <span className="px-2 py-1 rounded-xl text-xs bg-amber-100 text-amber-800 border border-amber-300" title="أضف اسم البنك إلى أسماء البنك في أحد القوالب">
+                ⚠️ لا يوجد قالب لبنك: {useExcelRows[useCurruntRowIndex].bank} - اختر القالب قبل الطباعة
+              </span>
+            )}
 
             <button 
               className=" w-20 px-3 py-1.5 rounded-2xl text-sm border bg-white text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium" 
@@ -830,11 +1332,18 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
 
             <button 
               className="px-3 py-1.5 rounded-2xl text-sm border bg-white text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium" 
-              onClick={printCheque}
+              onClick={() => printCheque()}
               disabled={isLoading.print}
             >
               {isLoading.print ? 'جاري التحضير...' : '🖨️ طباعة'}
             </button>
+            <button 
+              className="px-3 py-1.5 rounded-2xl text-sm border bg-white text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium" 
+              onClick={() => printBatch()}
+              disabled={useExcelRows.length < 1 || isLoading.batchPrint}
+            >
+              {isLoading.batchPrint ? 'جاري التحضير...' : '🖨️ طباعة الدفعة'}
+            </button>
             <button 
               className=" rounded-2xl text-sm border bg-white text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"             >
                {/* Import Excel Button */}
@@ -843,10 +1352,10 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
                   <input 
                     id="template-import"
                     type="file" 
-                    accept=".xlsx"
+                    accept={BATCH_FILE_ACCEPT}
                     onChange={handleExcelImport}
                     className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
-                    title="Import Excel File"
+                    title="Import Excel / CSV / ODS / JSON"
                   />
                   <label 
                     htmlFor="template-import"
@@ -879,18 +1388,51 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
         <section className="lg:col-span-2 bg-white p-4 rounded-2xl shadow print:hidden">
           <h2 className="font-semibold mb-3">البيانات</h2>
           <div className="grid grid-cols-2 gap-3">
-            <label className="col-span-2 text-sm">إسم المستفيد</label>
-            <input className="col-span-2 border rounded-xl px-3 py-2" value={form.payee} onChange={(e) => setForm({ ...form, payee: e.target.value })} />
-
-            <label className="col-span-2 text-sm">المبلغ (جنيه.قرش)</label>
-            <div className="col-span-2 space-y-2">
-              <input className="w-full border rounded-xl px-3 py-2" type="number" step="0.01" value={form.amount}
+            <div className="col-span-2 flex items-center justify-between">
+              <label className="text-sm">إسم المستفيد</label>
+              <div className="flex gap-1">
+                <button className="px-2 py-0.5 text-xs rounded-lg border hover:bg-blue-50" onClick={() => addPayeeToDirectory(form.payee)} title="إضافة الاسم الحالي إلى دليل المستفيدين">
+                  ➕ للدليل
+                </button>
+                <button className="px-2 py-0.5 text-xs rounded-lg border hover:bg-blue-50" onClick={() => setShowPayeeDirectory(true)}>
+                  📇 دليل المستفيدين
+                </button>
+              </div>
+            </div>
+            <PayeeInput
+              className="col-span-2"
+              value={form.payee}
+              onChange={(payee) => setForm({ ...form, payee })}
+              payees={payees}
+              onPick={applyPayee}
+            />
+            {formErrors.payee && showAllErrors && <p className="col-span-2 text-xs text-red-600">{formErrors.payee}</p>}
+
+            <label className="col-span-2 text-sm">المبلغ ({currency.main.singular}.{currency.sub.singular})</label>
+            <div className="col-span-2 flex gap-2">
+              <input className="flex-1 border rounded-xl px-3 py-2" type="text" inputMode="decimal" dir="ltr" value={form.amount}
+                placeholder={(0).toFixed(currency.decimals)}
                 onChange={(e) => setForm({ ...form, amount: e.target.value })} />
+              <select
+                className="border rounded-xl px-2 py-2 text-sm"
+                value={form.currency || ""}
+                onChange={(e) => setForm({ ...form, currency: e.target.value })}
+                title="عملة هذا الشيك"
+              >
+                <option value="">حسب القالب ({getCurrency(currentTemplate.currency).code})</option>
+                {Object.values(CURRENCIES).map(c => (
+                  <option key={c.code} value={c.code}>{c.code} - {c.label}</option>
+                ))}
+              </select>
             </div>
+            {formErrors.amount && (showAllErrors || String(form.amount ?? "").trim()) && (
+              <p className="col-span-2 text-xs text-red-600">{formErrors.amount}</p>
+            )}
 
             <label className="col-span-2 text-sm">التاريخ</label>
             <div className="col-span-2 space-y-2">
               <input className="w-full border rounded-xl px-3 py-2" type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+              {formErrors.date && showAllErrors && <p className="text-xs text-red-600">{formErrors.date}</p>}
             </div>
 
             <label className="col-span-2 text-sm">ملاحظات (اختياري)</label>
@@ -902,7 +1444,7 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
             <div className="col-span-2 flex gap-2 mt-2">
               {/* <button 
                 className="px-3 py-1.5 rounded-2xl text-sm border bg-green-50 hover:bg-green-100 disabled:opacity-50 disabled:cursor-not-allowed" 
-                onClick={saveCheque}
+                onClick={() => saveCheque()}
                 disabled={isLoading.save}
                 title="حفظ بيانات هذا الشيك في سجل الشيكات المحفوظة محلياً"
               >
@@ -956,7 +1498,7 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
                 <select
                   className="flex-1 border rounded-xl px-3 py-2"
                   value={currentTemplate.id}
-                  onChange={(e) => setSelectedTemplateId(e.target.value)}
+                  onChange={(e) => selectTemplate(e.target.value)}
                 >
                   {templates.map(t => (
                     <option key={`${t}-${Math.random(6)}`} value={t.id}>{t.name}</option>
@@ -1045,6 +1587,52 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
                 <input type="number" className="w-full border rounded-xl px-2 py-1" value={currentTemplate.dpi}
                   onChange={(e) => updateTemplate(t => ({ ...t, dpi: Number(e.target.value || 300) }))} />
               </div>
+              <div className="col-span-3">
+                <label className="block text-xs">عملة القالب</label>
+                <select
+                  className="w-full border rounded-xl px-2 py-1"
+                  value={getCurrency(currentTemplate.currency).code}
+                  onChange={(e) => updateTemplate(t => ({ ...t, currency: e.target.value }))}
+                >
+                  {Object.values(CURRENCIES).map(c => (
+                    <option key={c.code} value={c.code}>{c.code} - {c.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-2">
+                <label className="block text-xs">صيغة التاريخ</label>
+                <select
+                  className="w-full border rounded-xl px-2 py-1"
+                  value={currentTemplate.dateFormat || DEFAULT_DATE_FORMAT}
+                  onChange={(e) => applyDateFormat(e.target.value)}
+                >
+                  {DATE_FORMATS.map(df => (
+                    <option key={df.id} value={df.id}>{df.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs">أرقام التاريخ</label>
+                <select
+                  className="w-full border rounded-xl px-2 py-1"
+                  value={currentTemplate.dateDigits || ""}
+                  onChange={(e) => updateTemplate(t => ({ ...t, dateDigits: e.target.value }))}
+                >
+                  {DATE_DIGITS.map(dd => (
+                    <option key={dd.id} value={dd.id}>{dd.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-3">
+                <label className="block text-xs">أسماء البنك في ملفات الاستيراد (مفصولة بفاصلة)</label>
+                <input
+                  key={currentTemplate.id}
+                  className="w-full border rounded-xl px-2 py-1"
+                  placeholder="NBE، الأهلي، البنك الأهلي المصري"
+                  defaultValue={(currentTemplate.bankAliases || []).join("، ")}
+                  onBlur={(e) => updateTemplate(t => ({ ...t, bankAliases: parseBankAliases(e.target.value) }))}
+                />
+              </div>
             </div>
               {/* X Y Section */}
             <div className="col-span-2 mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-xl">
@@ -1122,6 +1710,30 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
                 </button>
               </div>
             </div>
+            {/* Duplicate payment window */}
+            <div className="col-span-2 p-3 bg-red-50 border border-red-200 rounded-xl">
+              <label className="text-sm font-medium text-red-800">فحص الدفع المكرر</label>
+              <div className="flex items-center gap-2 mt-1 text-xs text-red-700">
+                <span>تنبيه عند وجود شيك لنفس المستفيد وبنفس المبلغ خلال</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="w-16 border rounded-lg px-1 py-0.5 text-center"
+                  value={duplicateWindowDays}
+                  onChange={(e) => setDuplicateWindowDays(Math.max(0, Number(e.target.value || 0)))}
+                />
+                <span>يوماً</span>
+              </div>
+            </div>
+
+            {/* Chequebook: numbers taken by each print */}
+            <ChequebookPanel
+              template={currentTemplate}
+              onChange={(patch) => updateChequebook(currentTemplate.id, patch)}
+              onNewBook={startNewBook}
+              onSpoilLeaf={spoilLeaf}
+            />
+
             {/* Template Import/Export Section */}
             <div className="col-span-2 mt-4 p-3 bg-blue-50 border border-blue-200 rounded-xl">
               <h3 className="text-sm font-medium mb-2">🔄 إدارة القوالب</h3>
@@ -1190,6 +1802,51 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
               <span className="text-xs text-slate-500">اسحب العناصر لتغيير موضعها عند تفعيل وضع التعديل</span>
             </div>
 
+            {/* Field visibility (Edit Layout mode only) */}
+            {editMode && (
+              <div className="flex flex-wrap gap-3 mb-2 p-2 text-xs bg-amber-50 border border-amber-200 rounded-xl print:hidden">
+                <span className="font-medium text-amber-800">الحقول الظاهرة:</span>
+                {DEFAULT_FIELDS.map(def => {
+                  const fld = currentTemplate.fields.find(f => f.id === def.id);
+                  return (
+                    <label key={def.id} className="flex items-center gap-1 cursor-pointer">
+                      <input type="checkbox" checked={!!fld && !fld.hidden} onChange={() => toggleFieldVisibility(def.id)} />
+                      {def.label}
+                    </label>
+                  );
+                })}
+                <div className="w-full flex flex-wrap gap-3">
+                  {currentTemplate.fields.filter(f => f.bind === "amountWords" || f.bind === "amountWords2").map(f => (
+                    <label key={f.id} className="flex items-center gap-1">
+                      عرض {f.label} (مم)
+                      <input
+                        type="number"
+                        step="1"
+                        min="10"
+                        className="w-16 border rounded px-1"
+                        value={Math.round(fieldWidthMM(f, currentTemplate))}
+                        onChange={(e) => updateField(f.id, { widthMM: Math.max(10, Math.min(currentTemplate.widthMM, Number(e.target.value) || 0)) })}
+                      />
+                    </label>
+                  ))}
+                  {currentTemplate.fields.filter(f => f.bind === "date" && !f.hidden).map(f => (
+                    <label key={f.id} className="flex items-center gap-1">
+                      تقويم {f.label}
+                      <select
+                        className="border rounded px-1"
+                        value={f.calendar || "gregorian"}
+                        onChange={(e) => updateField(f.id, { calendar: e.target.value })}
+                      >
+                        {CALENDARS.map(c => (
+                          <option key={c.id} value={c.id}>{c.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div
               ref={chequeRef}
               className="cheque-container relative mx-auto bg-white border-2 border-slate-800 rounded-xl overflow-hidden shadow-lg"
@@ -1218,75 +1875,33 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
                 </>
               )}
               
-              {currentTemplate.fields.map((f) => {
-                console.log('Rendering field:', f);
-                console.log('Form data:', form);
-                console.log('currentTemp', currentTemplate);
-                let start = "";
-                let end = "";
-                let space = "";
-
-                if(f.bind === 'amountNum'){
-                  start = "#"
-                  end = "#"
-                }
-                if(f.bind === 'amountWords'){
-                  start = "فقط" 
-                  end = "لا غير"
-                  space = " "
-                }
-                const value = (f.bind === "amountNum"
-                  ? amountNum
-                  : f.bind === "amountWords"
-                  ? amountWords
-                  : f.bind === "date"
-                  ? (useArabicNumerals ? toArabicNumerals(form.date) : form.date)
-                  : f.bind === "payee"
-                  ? form.payee
-                  : "");
-                  
-
-                
-            {/* ? amountWords
-                  : f.bind === "amountWords2" */}
-                  {/* if(value.length > 50 && f.bind === "amountWords" ){
-                    let firstPart = value.slice(0, 50); // initial cut
-                    const lastSpaceIndex = firstPart.lastIndexOf(" ");
-  : f.bind === "memo"
-                  ? form.memo
-                  : f.bind === "signature"
-                  ? form.signature
-                    if (lastSpaceIndex !== -1) {
-                    firstPart = value.slice(0, lastSpaceIndex);
-                    }
-                    amountWords2 = value.slice(firstPart.length).trim();
-                    console.log(amountWords2)
-                  }
-                  
-                  if(f.bind === "amountWords2" ){
-                    console.log('amountWords2 set to:', amountWords2);
-                  }
-                   */}
+              {currentTemplate.fields.filter(f => !f.hidden).map((f) => {
+                const value = fieldText(f, content, { ...form, chequeNumber: nextNumber }, currentTemplate, useArabicNumerals);
                 return (
                   <div
                     key={f.id}
                     onMouseDown={(e) => onMouseDownField(e, f)}
                     className={`absolute select-none cursor-${editMode ? "move" : "default"} ${activeFieldId === f.id ? "ring-2 ring-amber-400" : ""}`}
-                    style={{ left: `${f.x}%`, top: `${f.y}%`, transform: "translate(-100%, 0%)", width: '50%' }}
+                    style={{ left: `${f.x}%`, top: `${f.y}%`, transform: "translate(-100%, 0%)", width: `${fieldWidthMM(f, currentTemplate) * pxPerMM}px` }}
                     title={editMode ? f.label : undefined}
                   >
                     <div
+                      dir={f.bind === 'amountWordsEn' ? 'ltr' : undefined}
                       className={`px-1 font-medium ${f.bind === 'amountNum' ? 'font-bold text-blue-900' : f.bind === 'payee' ? 'font-semibold' : ''}`}
                       style={{ 
                         fontSize: `${f.fontSize || 14}px`, 
                         lineHeight: 2.3,
-                        fontFamily: f.bind === 'amountNum' || f.bind === 'date' ? 'monospace' : 'inherit',
-                        letterSpacing: f.bind === 'amountNum' ? '1px' : 'normal'
+                        fontFamily: f.bind === 'amountNum' || isDateBind(f.bind) ? 'monospace' : 'inherit',
+                        letterSpacing: f.bind === 'amountNum' ? '1px' : 'normal',
+                        // Words are pre-split to the box width; never wrap into the payee area.
+                        // Centred text (fields migrated from the centred layout) overflows evenly on both sides
+                        whiteSpace: f.bind === 'amountWords' || f.bind === 'amountWords2' || f.align === 'center' ? 'nowrap' : undefined,
+                        textAlign: f.align === 'center' ? 'center' : undefined,
                       }}
                     >
                     
 
-                      {f.bind ==="date" ? `${dayjs(excelDateToJSDate(45123)).format("YYYY/MM/DD")}` :`${start}${space}${value}${space}${end}`}
+                      {value}
                     </div>
                     {/* Font Size Edit Box */}
                     {/* {editMode && (
@@ -1321,6 +1936,15 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
             <div className="flex justify-between items-center mt-3 print:hidden">
               <div className="text-sm text-slate-500 space-y-1">
                 <div>المبلغ كتابة: <span className="font-medium text-slate-700">{amountWords || "—"}</span></div>
+                {isLowBook(currentTemplate.chequebook) && (
+                  <div className="text-xs text-amber-700">
+                    ⚠️ {isEmptyBook(currentTemplate.chequebook) ? "انتهت أوراق دفتر الشيكات" : `تبقى ${remainingLeaves(currentTemplate.chequebook)} ورقة فقط في دفتر الشيكات`}
+                  </div>
+                )}
+                {amountWordsLines.overflow && (
+                  <div className="text-xs text-red-600">⚠️ المبلغ كتابة لا يتسع في سطري الشيك - صغّر الخط أو وسّع الحقلين في وضع تعديل التخطيط</div>
+                )}
+                <div>Amount in words: <span dir="ltr" className="font-medium text-slate-700">{amountWordsEn || "—"}</span></div>
                 {form.amount && (
                   <div className="flex items-center gap-4">
                     <span>المبلغ بالأرقام: <span className="font-mono font-medium text-slate-700">{amountNum || "—"}</span></span>
@@ -1333,7 +1957,7 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
               </div>
               <button 
                 className="px-3 py-1.5 rounded-2xl text-sm border bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed" 
-                onClick={printCheque}
+                onClick={() => printCheque()}
                 disabled={isLoading.print}
               >
                 {isLoading.print ? 'جاري التحضير...' : 'طباعة'}
@@ -1348,6 +1972,122 @@ const [useCurruntRowIndex, setUseCurruntRowIndex] = useState(null)
         </section>
       </main>
 
+      {/* Outside <main>: the single-cheque print styles address main's sections by position */}
+      {showBatchGrid && useExcelRows.length > 0 && (
+        <div className="max-w-6xl mx-auto px-4 pb-4 print:hidden">
+          <BatchGrid
+            rows={useExcelRows}
+            currentIndex={useCurruntRowIndex}
+            templates={templates}
+            currency={getCurrency(currentTemplate.currency)}
+            onChange={updateBatchRow}
+            onSelect={selectBatchRow}
+            onReorder={reorderBatchRows}
+            onClose={() => setShowBatchGrid(false)}
+          />
+        </div>
+      )}
+
+      {importSheet && (
+        <ColumnMappingDialog
+          sheet={importSheet}
+          savedMappings={columnMappings}
+          onSaveMapping={saveColumnMapping}
+          onDeleteMapping={(name) => setColumnMappings(prev => prev.filter(m => m.name !== name))}
+          onApply={reviewImportedRows}
+          onCancel={() => setImportSheet(null)}
+        />
+      )}
+
+      <BatchPrintPages jobs={batchJobs} useArabicNumerals={useArabicNumerals} />
+
+      {showHistory && (
+        <HistoryDialog
+          history={history}
+          templates={templates}
+          onOpen={openHistoryRecord}
+          onStatusChange={updateChequeStatus}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {duplicateCheck && (
+        <DuplicatePaymentDialog
+          items={duplicateCheck.items}
+          templates={templates}
+          windowDays={duplicateWindowDays}
+          onConfirm={(reason) => {
+            setDuplicateCheck(null);
+            duplicateCheck.proceed(reason);
+          }}
+          onCancel={() => setDuplicateCheck(null)}
+        />
+      )}
+
+      {showReports && (
+        <ReportsDialog
+          history={history}
+          templates={templates}
+          onExport={exportReport}
+          onPrint={printReport}
+          onClose={() => setShowReports(false)}
+        />
+      )}
+
+      {showReconciliation && (
+        <ReconciliationDialog
+          history={history}
+          snapshots={reconciliations}
+          templates={templates}
+          defaultTemplateId={currentTemplate.id}
+          onApply={applyReconciliation}
+          onClose={() => setShowReconciliation(false)}
+        />
+      )}
+
+      {rejectedTemplates && (
+        <RejectedTemplatesDialog
+          errors={rejectedTemplates.errors}
+          savedAside={rejectedTemplates.savedAside}
+          onExport={exportRejectedTemplates}
+          onClose={() => setRejectedTemplates(null)}
+        />
+      )}
+
+      {showAuditLog && (
+        <AuditLogDialog
+          log={auditLog}
+          head={auditHead}
+          history={history}
+          operator={operator}
+          onOperatorChange={setOperator}
+          onExport={exportAuditLog}
+          onClose={() => setShowAuditLog(false)}
+        />
+      )}
+
+      {showPayeeDirectory && (
+        <PayeeDirectoryDialog
+          payees={payees}
+          templates={templates}
+          candidateNames={payeeCandidateNames}
+          onChange={setPayees}
+          onClose={() => setShowPayeeDirectory(false)}
+        />
+      )}
+
+      {batchReport && <BatchPrintReport report={batchReport} onClose={() => setBatchReport(null)} />}
+
+      {importReview && (
+        <ImportReportDialog
+          rows={importReview}
+          templates={templates}
+          currency={getCurrency(currentTemplate.currency)}
+          onStart={applyImportedRows}
+          onCancel={() => setImportReview(null)}
+        />
+      )}
+
       {/* Toast Notification */}
       {toast && (
         <div className="fixed bottom-4 right-4 z-50 max-w-sm print:hidden">